@@ -0,0 +1,28 @@
+// Routes each API key scope unlocks. A key may only call routes matched by
+// one of its scopes; everything else is rejected.
+const API_KEY_SCOPES = {
+  "products:read": [
+    { method: "GET", path: /^\/api\/v1\/product(\/.*)?$/ },
+    { method: "GET", path: /^\/api\/v1\/admin\/analytics\/products$/ },
+  ],
+  "products:update-stock": [
+    { method: "PATCH", path: /^\/api\/v1\/product\/[^/]+\/stock$/ },
+  ],
+  "orders:read": [
+    { method: "GET", path: /^\/api\/v1\/order\/?$/ },
+    { method: "GET", path: /^\/api\/v1\/order\/[^/]+$/ },
+  ],
+  "orders:update-status": [
+    { method: "PATCH", path: /^\/api\/v1\/order\/[^/]+\/status$/ },
+  ],
+};
+
+export const isValidScope = (scope) =>
+  Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope);
+
+export const scopeAllowsRoute = (scope, method, path) =>
+  (API_KEY_SCOPES[scope] || []).some(
+    (route) => route.method === method && route.path.test(path)
+  );
+
+export default API_KEY_SCOPES;
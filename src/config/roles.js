@@ -0,0 +1,51 @@
+// Named roles and the permissions they grant. "*" grants everything.
+// Adding a role here also makes it assignable through updateUserRole.
+const ROLES = {
+  user: [],
+  admin: ["*"],
+  warehouse: [
+    "dashboard:read",
+    "orders:read",
+    "orders:update",
+    "products:update-stock",
+  ],
+  support: ["orders:read"],
+};
+
+export const PERMISSIONS = [
+  "dashboard:read",
+  "analytics:read",
+  "orders:read",
+  "orders:update",
+  "orders:delete",
+  "products:create",
+  "products:update",
+  "products:update-stock",
+  "products:delete",
+  "products:purge",
+  "products:import",
+  "products:export",
+  "categories:manage",
+  "reviews:moderate",
+  "questions:answer",
+  "questions:moderate",
+  "pricing:manage",
+  "users:read",
+  "users:update",
+  "users:manage-roles",
+  "users:impersonate",
+  "security:manage",
+  "api-keys:manage",
+];
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+export const hasPermission = (role, permission) => {
+  const permissions = ROLES[role] || [];
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+// Roles with any permission are staff roles
+export const isStaffRole = (role) => (ROLES[role] || []).length > 0;
+
+export default ROLES;
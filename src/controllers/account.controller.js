@@ -0,0 +1,204 @@
+import AdmZip from "adm-zip";
+import User from "../models/user.model.js";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import Review from "../models/review.model.js";
+import Question from "../models/question.model.js";
+import Cart from "../models/cart.model.js";
+import Session from "../models/session.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+} from "../utils/api.utils.js";
+import { deleteFromCloudinary } from "../utils/cloudinary.utils.js";
+
+
+export const exportMyData = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.id).populate(
+    "wishlist",
+    "name price category"
+  );
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  const [orders, userReviews, userQuestions, cart, sessions] =
+    await Promise.all([
+      Order.find({ user: req.id }).sort({ createdAt: -1 }),
+      Review.find({ user: req.id }).populate("product", "name"),
+      Question.find({
+        $or: [{ user: req.id }, { "answers.user": req.id }],
+      }).populate("product", "name"),
+      Cart.findOne({ user: req.id }).populate("items.product", "name category"),
+      Session.find({ user: req.id }).sort({ createdAt: -1 }),
+    ]);
+
+  const reviews = userReviews.map((review) => ({
+    product: review.product
+      ? { id: review.product._id, name: review.product.name }
+      : null,
+    rating: review.rating,
+    comment: review.comment,
+    status: review.status,
+    createdAt: review.createdAt,
+  }));
+
+  // Questions the user asked, and answers they gave
+  const questions = userQuestions.map((question) => ({
+    product: question.product
+      ? { id: question.product._id, name: question.product.name }
+      : null,
+    question: question.user?.toString() === req.id ? question.text : null,
+    answers: question.answers
+      .filter((answer) => answer.user?.toString() === req.id)
+      .map(({ text, status, createdAt }) => ({ text, status, createdAt })),
+    createdAt: question.createdAt,
+  }));
+
+  const { wishlist, ...profile } = user.toJSON();
+
+  const files = {
+    "profile.json": profile,
+    "orders.json": orders,
+    "reviews.json": reviews,
+    "questions.json": questions,
+    "wishlist.json": wishlist,
+    "cart.json": cart ? { items: cart.items, totalPrice: cart.totalPrice } : {},
+    "sessions.json": sessions,
+  };
+
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([fileName, data]) => {
+    zip.addFile(fileName, Buffer.from(JSON.stringify(data, null, 2)));
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="garden-data-export-${date}.zip"`,
+  });
+  res.status(200).send(zip.toBuffer());
+});
+
+
+export const deleteMyAccount = asyncHandler(async (req, res) => {
+  const { password, confirmEmail, reviewAction = "delete" } = req.body;
+
+  if (!["delete", "anonymize"].includes(reviewAction)) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid reviewAction. Must be 'delete' or 'anonymize'"
+    );
+  }
+
+  const user = await User.findById(req.id).select("+password");
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  // Confirm it's really the account holder; accounts without a password
+  // (identity provider sign-in) confirm by typing their email instead
+  if (user.password) {
+    if (!(await user.comparePassword(password))) {
+      return sendErrorResponse(res, 400, "Password is incorrect");
+    }
+  } else if (
+    !confirmEmail ||
+    confirmEmail.toLowerCase() !== user.email.toLowerCase()
+  ) {
+    return sendErrorResponse(res, 400, "Please confirm your email address");
+  }
+
+  // Orders still on their way need the delivery address
+  const hasOpenOrders = await Order.exists({
+    user: user._id,
+    orderStatus: { $nin: Order.CLOSED_STATUSES },
+  });
+  if (hasOpenOrders) {
+    return sendErrorResponse(
+      res,
+      409,
+      "You have orders that are still in progress. Please wait until they are delivered or cancel them before deleting your account"
+    );
+  }
+
+  // Keep orders for bookkeeping but strip everything that identifies the user
+  await Order.updateMany(
+    { user: user._id, orderStatus: { $in: Order.CLOSED_STATUSES } },
+    {
+      $unset: { user: "", notes: "" },
+      $set: {
+        shippingAddress: Order.ANONYMIZED_ADDRESS,
+        anonymizedAt: new Date(),
+      },
+    }
+  );
+
+  // Remove or re-attribute reviews, then recalculate those products' ratings
+  const reviewedProductIds = await Review.distinct("product", {
+    user: user._id,
+  });
+  if (reviewAction === "delete") {
+    await Review.deleteMany({ user: user._id });
+  } else {
+    await Review.updateMany(
+      { user: user._id },
+      { $unset: { user: "" }, $set: { authorDeleted: true } }
+    );
+  }
+  for (const productId of reviewedProductIds) {
+    await Product.refreshRatings(productId);
+  }
+
+  // Drop the user's helpful votes from other reviews
+  await Review.removeVote({}, user._id);
+
+  // Questions and answers stay useful to other shoppers, so they are kept
+  // as "Deleted user"
+  await Question.updateMany(
+    { user: user._id },
+    { $unset: { user: "" }, $set: { authorDeleted: true } }
+  );
+  await Question.updateMany(
+    { "answers.user": user._id },
+    {
+      $unset: { "answers.$[mine].user": "" },
+      $set: { "answers.$[mine].authorDeleted": true },
+    },
+    { arrayFilters: [{ "mine.user": user._id }] }
+  );
+  await Question.updateMany(
+    { upvotes: user._id },
+    { $pull: { upvotes: user._id }, $inc: { upvoteCount: -1 } }
+  );
+
+  if (user.avatar && user.avatar.public_id) {
+    try {
+      await deleteFromCloudinary(user.avatar.public_id);
+    } catch (error) {
+      console.error("Avatar delete error:", error);
+    }
+  }
+
+  await Promise.all([
+    Cart.deleteOne({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    ApiKey.updateMany(
+      { createdBy: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    ),
+  ]);
+  await User.findByIdAndDelete(user._id);
+
+  res.clearCookie("token");
+  res.clearCookie("refreshToken");
+
+  sendSuccessResponse(res, 200, "Account deleted successfully", {
+    anonymizedOrders: true,
+    reviewAction,
+    affectedProducts: reviewedProductIds.length,
+  });
+});
@@ -0,0 +1,154 @@
+import User from "../models/user.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sanitizeInput,
+} from "../utils/api.utils.js";
+
+const ADDRESS_FIELDS = [
+  "label",
+  "fullName",
+  "street",
+  "city",
+  "state",
+  "zipCode",
+  "country",
+  "phone",
+];
+
+// Pick and sanitize the address fields present in the request body
+const pickAddressFields = (body) => {
+  const address = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      address[field] = sanitizeInput(body[field]);
+    }
+  });
+  if (body.isDefault !== undefined) {
+    address.isDefault = body.isDefault === true || body.isDefault === "true";
+  }
+  return address;
+};
+
+
+export const getAddresses = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.id).select("addresses");
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  sendSuccessResponse(res, 200, "Addresses fetched successfully", {
+    addresses: user.addresses,
+  });
+});
+
+
+export const addAddress = asyncHandler(async (req, res) => {
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ADDRESS_FIELDS);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const user = await User.findById(req.id);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  user.addresses.push(pickAddressFields(req.body));
+  await user.save();
+
+  sendSuccessResponse(res, 201, "Address added successfully", {
+    address: user.addresses[user.addresses.length - 1],
+    addresses: user.addresses,
+  });
+});
+
+
+export const updateAddress = asyncHandler(async (req, res) => {
+  const { addressId } = req.params;
+
+  const user = await User.findById(req.id);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    return sendErrorResponse(res, 404, "Address not found");
+  }
+
+  const updates = pickAddressFields(req.body);
+  const emptyFields = ADDRESS_FIELDS.filter(
+    (field) => updates[field] !== undefined && updates[field] === ""
+  );
+  if (emptyFields.length > 0) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Fields cannot be empty: ${emptyFields.join(", ")}`
+    );
+  }
+
+  if (updates.isDefault) {
+    user.setDefaultAddress(address._id);
+    delete updates.isDefault;
+  }
+  address.set(updates);
+  await user.save();
+
+  sendSuccessResponse(res, 200, "Address updated successfully", {
+    address,
+    addresses: user.addresses,
+  });
+});
+
+
+export const deleteAddress = asyncHandler(async (req, res) => {
+  const { addressId } = req.params;
+
+  const user = await User.findById(req.id);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    return sendErrorResponse(res, 404, "Address not found");
+  }
+
+  // If the default is removed, the save hook promotes another address
+  address.deleteOne();
+  await user.save();
+
+  sendSuccessResponse(res, 200, "Address deleted successfully", {
+    addresses: user.addresses,
+  });
+});
+
+
+export const setDefaultAddress = asyncHandler(async (req, res) => {
+  const { addressId } = req.params;
+
+  const user = await User.findById(req.id);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  try {
+    user.setDefaultAddress(addressId);
+  } catch (error) {
+    return sendErrorResponse(res, 404, error.message);
+  }
+  await user.save();
+
+  sendSuccessResponse(res, 200, "Default address updated successfully", {
+    addresses: user.addresses,
+  });
+});
@@ -1,13 +1,21 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
 import Product from "../models/product.model.js";
+import Review from "../models/review.model.js";
 import Order from "../models/order.model.js";
+import Cart from "../models/cart.model.js";
+import Session from "../models/session.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
 import {
   sendSuccessResponse,
   sendErrorResponse,
   asyncHandler,
+  sendPaginatedResponse,
 } from "../utils/api.utils.js";
+import { unlockLogin } from "../utils/loginThrottle.utils.js";
+import ROLES, { PERMISSIONS, ROLE_NAMES } from "../config/roles.js";
+
 
-n
 export const getDashboardStats = asyncHandler(async (req, res) => {
   const { period = "30" } = req.query; // days
 
@@ -251,7 +259,7 @@ export const getRecentActivities = asyncHandler(async (req, res) => {
       type: "order",
       id: order._id,
       title: `New order ${order.orderId}`,
-      description: `Order placed by ${order.user.fullName}`,
+      description: `Order placed by ${order.user?.fullName || "Deleted user"}`,
       amount: order.totalAmount,
       status: order.orderStatus,
       timestamp: order.createdAt,
@@ -423,8 +431,8 @@ export const getProductAnalytics = asyncHandler(async (req, res) => {
 
       // Low stock products
       Product.find({
+        ...Product.listedFilter(),
         stock: { $lte: 10 },
-        isAvailable: true,
       })
         .select("name stock category price")
         .sort({ stock: 1 })
@@ -444,11 +452,11 @@ export const updateUserRole = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { role } = req.body;
 
-  if (!["user", "admin"].includes(role)) {
+  if (!ROLE_NAMES.includes(role)) {
     return sendErrorResponse(
       res,
       400,
-      "Invalid role. Must be 'user' or 'admin'"
+      `Invalid role. Must be one of: ${ROLE_NAMES.join(", ")}`
     );
   }
 
@@ -456,7 +464,7 @@ export const updateUserRole = asyncHandler(async (req, res) => {
     id,
     { role },
     { new: true, runValidators: true }
-  ).select("-password -refreshToken");
+  ).select("-password -refreshToken -tokenVersion");
 
   if (!user) {
     return sendErrorResponse(res, 404, "User not found");
@@ -479,6 +487,11 @@ export const toggleUserStatus = asyncHandler(async (req, res) => {
   user.isActive = !user.isActive;
   await user.save();
 
+  // Sign a deactivated user out of every device
+  if (!user.isActive) {
+    await Session.revokeAllForUser(user._id, "account_deactivated");
+  }
+
   sendSuccessResponse(
     res,
     200,
@@ -493,3 +506,329 @@ export const toggleUserStatus = asyncHandler(async (req, res) => {
     }
   );
 });
+
+
+export const getSecurityEvents = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    type = "",
+    scope = "",
+    email = "",
+    ip = "",
+    activeOnly = "",
+  } = req.query;
+
+  // Build query
+  const query = {};
+  if (type) query.type = type;
+  if (scope) query.scope = scope;
+  if (email) query.email = email.toLowerCase();
+  if (ip) query.ip = ip;
+  if (activeOnly === "true") {
+    query.type = "login_locked";
+    query.lockedUntil = { $gt: new Date() };
+  }
+
+  // Calculate pagination
+  const skip = (page - 1) * limit;
+
+  const events = await SecurityEvent.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate("user", "fullName email")
+    .populate("actor", "fullName email");
+
+  const total = await SecurityEvent.countDocuments(query);
+
+  sendPaginatedResponse(
+    res,
+    events,
+    parseInt(page),
+    parseInt(limit),
+    total,
+    "Security events fetched successfully"
+  );
+});
+
+
+export const unlockLoginAttempts = asyncHandler(async (req, res) => {
+  const { email, ip } = req.body;
+
+  if (!email && !ip) {
+    return sendErrorResponse(res, 400, "Provide an email or an IP to unlock");
+  }
+
+  const events = await unlockLogin({
+    email: email ? email.toLowerCase() : null,
+    ip,
+    actorId: req.id,
+  });
+
+  sendSuccessResponse(res, 200, "Login unlocked successfully", {
+    events,
+  });
+});
+
+
+export const getRoles = asyncHandler(async (req, res) => {
+  sendSuccessResponse(res, 200, "Roles fetched successfully", {
+    roles: ROLE_NAMES.map((name) => ({
+      name,
+      permissions: ROLES[name],
+    })),
+    permissions: PERMISSIONS,
+  });
+});
+
+
+export const getCustomers = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    search = "",
+    role = "",
+    isActive = "",
+    registeredFrom = "",
+    registeredTo = "",
+    minOrders = "",
+    maxOrders = "",
+    minSpend = "",
+    maxSpend = "",
+    sortBy = "createdAt",
+    sortOrder = "desc",
+  } = req.query;
+
+  // Filters on the user document
+  const userQuery = {};
+  if (search) {
+    userQuery.$or = [
+      { fullName: { $regex: search, $options: "i" } },
+      { email: { $regex: search, $options: "i" } },
+      { phone: { $regex: search, $options: "i" } },
+    ];
+  }
+  if (role) userQuery.role = role;
+  if (isActive !== "") userQuery.isActive = isActive === "true";
+  if (registeredFrom || registeredTo) {
+    userQuery.createdAt = {};
+    if (registeredFrom) userQuery.createdAt.$gte = new Date(registeredFrom);
+    if (registeredTo) userQuery.createdAt.$lte = new Date(registeredTo);
+  }
+
+  // Filters on the order aggregates
+  const statsQuery = {};
+  if (minOrders !== "" || maxOrders !== "") {
+    statsQuery.orderCount = {};
+    if (minOrders !== "") statsQuery.orderCount.$gte = parseInt(minOrders);
+    if (maxOrders !== "") statsQuery.orderCount.$lte = parseInt(maxOrders);
+  }
+  if (minSpend !== "" || maxSpend !== "") {
+    statsQuery.totalSpend = {};
+    if (minSpend !== "") statsQuery.totalSpend.$gte = parseFloat(minSpend);
+    if (maxSpend !== "") statsQuery.totalSpend.$lte = parseFloat(maxSpend);
+  }
+
+  const sortableFields = [
+    "createdAt",
+    "fullName",
+    "lastLogin",
+    "orderCount",
+    "totalSpend",
+    "lastOrderAt",
+  ];
+  const sortField = sortableFields.includes(sortBy) ? sortBy : "createdAt";
+
+  // Calculate pagination
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+  const skip = (pageNumber - 1) * pageSize;
+
+  const [result] = await User.aggregate([
+    { $match: userQuery },
+    {
+      $lookup: {
+        from: "orders",
+        let: { userId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$user", "$$userId"] } } },
+          {
+            $group: {
+              _id: null,
+              orderCount: { $sum: 1 },
+              totalSpend: {
+                $sum: {
+                  $cond: [
+                    { $ne: ["$orderStatus", "cancelled"] },
+                    "$totalAmount",
+                    0,
+                  ],
+                },
+              },
+              lastOrderAt: { $max: "$createdAt" },
+            },
+          },
+        ],
+        as: "orderStats",
+      },
+    },
+    {
+      $addFields: {
+        orderCount: {
+          $ifNull: [{ $arrayElemAt: ["$orderStats.orderCount", 0] }, 0],
+        },
+        totalSpend: {
+          $ifNull: [{ $arrayElemAt: ["$orderStats.totalSpend", 0] }, 0],
+        },
+        lastOrderAt: { $arrayElemAt: ["$orderStats.lastOrderAt", 0] },
+      },
+    },
+    { $match: statsQuery },
+    { $sort: { [sortField]: sortOrder === "desc" ? -1 : 1, _id: 1 } },
+    {
+      $facet: {
+        users: [
+          { $skip: skip },
+          { $limit: pageSize },
+          {
+            $project: {
+              fullName: 1,
+              email: 1,
+              phone: 1,
+              role: 1,
+              avatar: 1,
+              isActive: 1,
+              isEmailVerified: 1,
+              lastLogin: 1,
+              createdAt: 1,
+              orderCount: 1,
+              totalSpend: 1,
+              lastOrderAt: 1,
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    result.users,
+    pageNumber,
+    pageSize,
+    result.total[0]?.count || 0,
+    "Customers fetched successfully"
+  );
+});
+
+
+export const getCustomerDetails = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { orderLimit = 10 } = req.query;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  const user = await User.findById(id).populate("wishlist", "name price image");
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  const [orderSummary, statusBreakdown, recentOrders, userReviews, cart] =
+    await Promise.all([
+      // Lifetime value (cancelled orders excluded)
+      Order.aggregate([
+        {
+          $match: { user: user._id, orderStatus: { $ne: "cancelled" } },
+        },
+        {
+          $group: {
+            _id: null,
+            lifetimeRevenue: { $sum: "$totalAmount" },
+            averageOrderValue: { $avg: "$totalAmount" },
+            itemsPurchased: { $sum: "$totalItems" },
+            firstOrderAt: { $min: "$createdAt" },
+          },
+        },
+      ]),
+
+      // Orders per status
+      Order.aggregate([
+        { $match: { user: user._id } },
+        { $group: { _id: "$orderStatus", count: { $sum: 1 } } },
+      ]),
+
+      // Order history
+      Order.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .limit(parseInt(orderLimit))
+        .select(
+          "orderId orderStatus totalAmount totalItems paymentInfo createdAt deliveredAt"
+        ),
+
+      // Reviews written
+      Review.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .populate("product", "name image"),
+
+      // Current cart
+      Cart.findOne({ user: user._id }).populate({
+        path: "items.product",
+        select: "name price image stock isAvailable",
+      }),
+    ]);
+
+  const summary = orderSummary[0] || {
+    lifetimeRevenue: 0,
+    averageOrderValue: 0,
+    itemsPurchased: 0,
+    firstOrderAt: null,
+  };
+
+  const ordersByStatus = {};
+  statusBreakdown.forEach((stat) => {
+    ordersByStatus[stat._id] = stat.count;
+  });
+
+  const reviews = userReviews.map((review) => ({
+    product: review.product
+      ? {
+          id: review.product._id,
+          name: review.product.name,
+          image: review.product.image,
+        }
+      : null,
+    rating: review.rating,
+    comment: review.comment,
+    status: review.status,
+    isVerifiedPurchase: review.isVerifiedPurchase,
+    createdAt: review.createdAt,
+  }));
+
+  sendSuccessResponse(res, 200, "Customer details fetched successfully", {
+    user,
+    stats: {
+      totalOrders: Object.values(ordersByStatus).reduce((a, b) => a + b, 0),
+      ordersByStatus,
+      lifetimeRevenue: summary.lifetimeRevenue,
+      averageOrderValue: Math.round(summary.averageOrderValue * 100) / 100,
+      itemsPurchased: summary.itemsPurchased,
+      firstOrderAt: summary.firstOrderAt,
+      lastOrderAt: recentOrders[0]?.createdAt || null,
+      reviewCount: reviews.length,
+    },
+    recentOrders,
+    reviews,
+    cart: cart
+      ? {
+          items: cart.items,
+          totalItems: cart.totalItems,
+          totalPrice: cart.totalPrice,
+          lastUpdated: cart.lastUpdated,
+        }
+      : { items: [], totalItems: 0, totalPrice: 0 },
+  });
+});
@@ -0,0 +1,97 @@
+import ApiKey from "../models/apiKey.model.js";
+import API_KEY_SCOPES, { isValidScope } from "../config/apiKeyScopes.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sanitizeInput,
+} from "../utils/api.utils.js";
+
+
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["name", "scopes"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return sendErrorResponse(res, 400, "Scopes must be a non-empty array");
+  }
+
+  const invalidScopes = scopes.filter((scope) => !isValidScope(scope));
+  if (invalidScopes.length > 0) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Invalid scopes: ${invalidScopes.join(", ")}`
+    );
+  }
+
+  let expiryDate;
+  if (expiresAt) {
+    expiryDate = new Date(expiresAt);
+    if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+      return sendErrorResponse(res, 400, "Expiry date must be in the future");
+    }
+  }
+
+  const { key, prefix, keyHash } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    name: sanitizeInput(name),
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    createdBy: req.id,
+    ...(expiryDate && { expiresAt: expiryDate }),
+  });
+
+  // The plaintext key is only ever returned here
+  sendSuccessResponse(res, 201, "API key created successfully", {
+    apiKey,
+    key,
+  });
+});
+
+
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find()
+    .sort({ createdAt: -1 })
+    .populate("createdBy", "fullName email")
+    .populate("revokedBy", "fullName email");
+
+  sendSuccessResponse(res, 200, "API keys fetched successfully", {
+    apiKeys,
+    availableScopes: Object.keys(API_KEY_SCOPES),
+  });
+});
+
+
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) {
+    return sendErrorResponse(res, 404, "API key not found");
+  }
+
+  if (apiKey.revokedAt) {
+    return sendErrorResponse(res, 400, "API key is already revoked");
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.id;
+  await apiKey.save();
+
+  sendSuccessResponse(res, 200, "API key revoked successfully", {
+    apiKey,
+  });
+});
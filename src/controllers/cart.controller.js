@@ -6,12 +6,30 @@ import {
   asyncHandler,
   validateRequiredFields,
 } from "../utils/api.utils.js";
+import { applyActivePriceRules } from "../utils/pricing.utils.js";
+
+// Product fields returned with cart items, including those price rules
+// match on
+const CART_PRODUCT_FIELDS =
+  "name slug price oldPrice image stock isAvailable isArchived category variants tags categoryPath";
+
+// Populate cart products, showing sale prices like the cart items do
+const populateCartProducts = async (cart) => {
+  await cart.populate({
+    path: "items.product",
+    select: CART_PRODUCT_FIELDS,
+  });
+  await applyActivePriceRules(cart.items.map((item) => item.product));
+};
+
+const INVALID_VARIANT_MESSAGE =
+  "Please select a valid variant for this product";
 
 
 export const getCart = asyncHandler(async (req, res) => {
   let cart = await Cart.findOne({ user: req.id }).populate({
     path: "items.product",
-    select: "name price oldPrice image stock isAvailable category",
+    select: CART_PRODUCT_FIELDS,
   });
 
   // Create empty cart if doesn't exist
@@ -19,13 +37,26 @@ export const getCart = asyncHandler(async (req, res) => {
     cart = await Cart.create({ user: req.id, items: [] });
   }
 
-  // Filter out unavailable products
+  // Filter out unavailable and archived products
   const availableItems = cart.items.filter(
-    (item) => item.product && item.product.isAvailable
+    (item) =>
+      item.product && item.product.isAvailable && !item.product.isArchived
   );
 
-  // Update cart if items were filtered out
-  if (availableItems.length !== cart.items.length) {
+  // Reprice items so sales that started or ended since they were added
+  // show up in the totals
+  let cartUpdated = availableItems.length !== cart.items.length;
+  await applyActivePriceRules(availableItems.map((item) => item.product));
+  availableItems.forEach((item) => {
+    const option = item.product.getPurchaseOption(item.variant);
+    if (option && item.price !== option.price) {
+      item.price = option.price;
+      cartUpdated = true;
+    }
+  });
+
+  // Update cart if items were filtered out or repriced
+  if (cartUpdated) {
     cart.items = availableItems;
     await cart.save();
   }
@@ -42,7 +73,7 @@ export const getCart = asyncHandler(async (req, res) => {
 
 
 export const addToCart = asyncHandler(async (req, res) => {
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
 
   // Validate required fields
   const validation = validateRequiredFields(req.body, ["productId"]);
@@ -65,15 +96,23 @@ export const addToCart = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 404, "Product not found");
   }
 
-  if (!product.isAvailable) {
+  // Price and stock come from the chosen variant when the product has
+  // variants; a running sale lowers the price
+  await applyActivePriceRules([product]);
+  const option = product.getPurchaseOption(variantId);
+  if (!option) {
+    return sendErrorResponse(res, 400, INVALID_VARIANT_MESSAGE);
+  }
+
+  if (!option.isAvailable) {
     return sendErrorResponse(res, 400, "Product is not available");
   }
 
-  if (product.stock < quantity) {
+  if (option.stock < quantity) {
     return sendErrorResponse(
       res,
       400,
-      `Only ${product.stock} items available in stock`
+      `Only ${option.stock} items available in stock`
     );
   }
 
@@ -85,14 +124,14 @@ export const addToCart = asyncHandler(async (req, res) => {
 
   try {
     // Add item to cart using model method
-    cart.addItem(productId, parseInt(quantity), product.price);
+    cart.addItem(productId, parseInt(quantity), option.price, {
+      variantId: option.variant?._id,
+      sku: option.variant?.sku,
+    });
     await cart.save();
 
     // Populate and return updated cart
-    await cart.populate({
-      path: "items.product",
-      select: "name price oldPrice image stock isAvailable category",
-    });
+    await populateCartProducts(cart);
 
     sendSuccessResponse(res, 200, "Item added to cart successfully", {
       cart: {
@@ -111,7 +150,7 @@ export const addToCart = asyncHandler(async (req, res) => {
 
 
 export const updateCartItem = asyncHandler(async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
 
   // Validate required fields
   const validation = validateRequiredFields(req.body, [
@@ -144,29 +183,31 @@ export const updateCartItem = asyncHandler(async (req, res) => {
       return sendErrorResponse(res, 404, "Product not found");
     }
 
-    if (!product.isAvailable) {
+    const option = product.getPurchaseOption(variantId);
+    if (!option) {
+      return sendErrorResponse(res, 400, INVALID_VARIANT_MESSAGE);
+    }
+
+    if (!option.isAvailable) {
       return sendErrorResponse(res, 400, "Product is not available");
     }
 
-    if (product.stock < quantity) {
+    if (option.stock < quantity) {
       return sendErrorResponse(
         res,
         400,
-        `Only ${product.stock} items available in stock`
+        `Only ${option.stock} items available in stock`
       );
     }
   }
 
   try {
     // Update item quantity using model method
-    cart.updateItemQuantity(productId, parseInt(quantity));
+    cart.updateItemQuantity(productId, parseInt(quantity), variantId);
     await cart.save();
 
     // Populate and return updated cart
-    await cart.populate({
-      path: "items.product",
-      select: "name price oldPrice image stock isAvailable category",
-    });
+    await populateCartProducts(cart);
 
     const message =
       quantity === 0
@@ -193,7 +234,7 @@ export const updateCartItem = asyncHandler(async (req, res) => {
 
 
 export const removeCartItem = asyncHandler(async (req, res) => {
-  const { productId } = req.body;
+  const { productId, variantId } = req.body;
 
   // Validate required fields
   const validation = validateRequiredFields(req.body, ["productId"]);
@@ -212,14 +253,11 @@ export const removeCartItem = asyncHandler(async (req, res) => {
   }
 
   // Remove item using model method
-  cart.removeItem(productId);
+  cart.removeItem(productId, variantId);
   await cart.save();
 
   // Populate and return updated cart
-  await cart.populate({
-    path: "items.product",
-    select: "name price oldPrice image stock isAvailable category",
-  });
+  await populateCartProducts(cart);
 
   sendSuccessResponse(res, 200, "Item removed from cart successfully", {
     cart: {
@@ -265,7 +303,8 @@ export const getCartItemCount = asyncHandler(async (req, res) => {
 export const validateCart = asyncHandler(async (req, res) => {
   const cart = await Cart.findOne({ user: req.id }).populate({
     path: "items.product",
-    select: "name price stock isAvailable",
+    select:
+      "name price stock isAvailable isArchived variants tags categoryPath",
   });
 
   if (!cart || cart.items.length === 0) {
@@ -275,6 +314,8 @@ export const validateCart = asyncHandler(async (req, res) => {
     });
   }
 
+  await applyActivePriceRules(cart.items.map((item) => item.product));
+
   const issues = [];
   let cartUpdated = false;
 
@@ -293,51 +334,70 @@ export const validateCart = asyncHandler(async (req, res) => {
       continue;
     }
 
-    if (!item.product.isAvailable) {
+    // The variant may have been removed since it was added
+    const option = item.product.getPurchaseOption(item.variant);
+    if (!option) {
+      cart.items.splice(i, 1);
+      cartUpdated = true;
+      issues.push({
+        type: "variant_removed",
+        product: item.product.name,
+        sku: item.sku,
+        message: `The selected option of ${item.product.name} is no longer available`,
+      });
+      continue;
+    }
+
+    const itemName = option.variant
+      ? `${item.product.name} (${option.variant.label})`
+      : item.product.name;
+
+    if (!option.isAvailable) {
       // Product is not available
       cart.items.splice(i, 1);
       cartUpdated = true;
       issues.push({
         type: "product_unavailable",
-        product: item.product.name,
-        message: `${item.product.name} is currently unavailable`,
+        product: itemName,
+        message: `${itemName} is currently unavailable`,
       });
       continue;
     }
 
-    if (item.product.stock < item.quantity) {
+    if (option.stock < item.quantity) {
       // Insufficient stock
-      if (item.product.stock === 0) {
+      if (option.stock === 0) {
         cart.items.splice(i, 1);
         cartUpdated = true;
         issues.push({
           type: "out_of_stock",
-          product: item.product.name,
-          message: `${item.product.name} is out of stock`,
+          product: itemName,
+          message: `${itemName} is out of stock`,
         });
+        continue;
       } else {
-        cart.items[i].quantity = item.product.stock;
+        cart.items[i].quantity = option.stock;
         cartUpdated = true;
         issues.push({
           type: "quantity_reduced",
-          product: item.product.name,
+          product: itemName,
           oldQuantity: item.quantity,
-          newQuantity: item.product.stock,
-          message: `${item.product.name} quantity reduced to ${item.product.stock} (limited stock)`,
+          newQuantity: option.stock,
+          message: `${itemName} quantity reduced to ${option.stock} (limited stock)`,
         });
       }
     }
 
     // Check if price has changed
-    if (item.price !== item.product.price) {
-      cart.items[i].price = item.product.price;
+    if (item.price !== option.price) {
+      cart.items[i].price = option.price;
       cartUpdated = true;
       issues.push({
         type: "price_changed",
-        product: item.product.name,
+        product: itemName,
         oldPrice: item.price,
-        newPrice: item.product.price,
-        message: `${item.product.name} price has been updated`,
+        newPrice: option.price,
+        message: `${itemName} price has been updated`,
       });
     }
   }
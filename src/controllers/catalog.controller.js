@@ -0,0 +1,444 @@
+import path from "path";
+import mongoose from "mongoose";
+import AdmZip from "adm-zip";
+import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
+import CatalogImport from "../models/catalogImport.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  sendPaginatedResponse,
+} from "../utils/api.utils.js";
+import {
+  uploadToCloudinary,
+  uploadUrlToCloudinary,
+  deleteFromCloudinary,
+} from "../utils/cloudinary.utils.js";
+import { parseCsv, toCsv } from "../utils/csv.utils.js";
+import {
+  CATALOG_COLUMNS,
+  isImageUrl,
+  productToRecord,
+  recordToProductData,
+} from "../utils/catalog.utils.js";
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Read the uploaded catalog file into records
+const readCatalogFile = (file) => {
+  const text = file.buffer.toString("utf8");
+
+  if (path.extname(file.originalname).toLowerCase() === ".json") {
+    const records = JSON.parse(text);
+    if (
+      !Array.isArray(records) ||
+      records.some((record) => !record || typeof record !== "object")
+    ) {
+      throw new Error("JSON catalog must be an array of products");
+    }
+    return records;
+  }
+
+  return parseCsv(text);
+};
+
+// Zip entries by lowercase file name, ignoring folders inside the zip
+const readImagesZip = (file) => {
+  const images = new Map();
+  if (!file) return images;
+
+  new AdmZip(file.buffer).getEntries().forEach((entry) => {
+    if (!entry.isDirectory) {
+      images.set(path.basename(entry.entryName).toLowerCase(), entry);
+    }
+  });
+  return images;
+};
+
+// Every image reference of a row: main image, extra images, variant images
+const getImageReferences = (data) =>
+  [
+    data.image,
+    ...(data.images || []),
+    ...(data.variants || []).map((variant) => variant.image),
+  ].filter(Boolean);
+
+// Cloudinary ids of all images a product uses
+const getImagePublicIds = (product) =>
+  [
+    product.image,
+    ...(product.images || []),
+    ...(product.variants || []).map((variant) => variant.image),
+  ]
+    .map((image) => image?.public_id)
+    .filter(Boolean);
+
+// Apply imported fields to a product. Images are set from their references
+// by resolveImage, which returns { public_id, url }.
+const applyRowToProduct = async (product, data, resolveImage) => {
+  const { image, images, variants, ...fields } = data;
+  product.set(fields);
+
+  if (image && image !== product.image?.url) {
+    product.image = await resolveImage(image);
+  }
+
+  if (images) {
+    const currentImages = new Map(
+      (product.images || []).map((current) => [current.url, current])
+    );
+    product.images = await Promise.all(
+      images.map(
+        (reference) => currentImages.get(reference) || resolveImage(reference)
+      )
+    );
+  }
+
+  if (variants) {
+    // Reuse variant ids by SKU so carts holding a variant stay valid
+    const currentVariants = new Map(
+      (product.variants || []).map((variant) => [variant.sku, variant])
+    );
+    product.variants = await Promise.all(
+      variants.map(async ({ image: variantImage, ...variant }) => {
+        const current = currentVariants.get(variant.sku);
+        let resolvedImage = current?.image;
+        if (variantImage && variantImage !== current?.image?.url) {
+          resolvedImage = await resolveImage(variantImage);
+        }
+        return {
+          ...(current && { _id: current._id }),
+          ...variant,
+          ...(resolvedImage?.url && { image: resolvedImage }),
+        };
+      })
+    );
+  }
+};
+
+const getValidationMessages = (error) =>
+  error.name === "ValidationError"
+    ? Object.values(error.errors).map((fieldError) => fieldError.message)
+    : [error.message];
+
+
+export const importCatalog = asyncHandler(async (req, res) => {
+  const dryRun = req.body.dryRun !== "false";
+  const skipInvalid = req.body.skipInvalid === "true";
+
+  const catalogFile = req.files?.file?.[0];
+  if (!catalogFile) {
+    return sendErrorResponse(res, 400, "Missing required fields: file");
+  }
+
+  let records;
+  try {
+    records = readCatalogFile(catalogFile);
+  } catch (error) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Could not read catalog file: ${error.message}`
+    );
+  }
+
+  if (records.length === 0) {
+    return sendErrorResponse(res, 400, "Catalog file has no products");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Catalog file has more than ${MAX_IMPORT_ROWS} products`
+    );
+  }
+
+  let zipImages;
+  try {
+    zipImages = readImagesZip(req.files.imagesZip?.[0]);
+  } catch (error) {
+    return sendErrorResponse(res, 400, "Could not read images zip");
+  }
+
+  const isCsv =
+    path.extname(catalogFile.originalname).toLowerCase() !== ".json";
+  const seenKeys = new Set();
+  const rows = [];
+
+  // Validate every row against the current catalog without saving anything
+  for (const [index, record] of records.entries()) {
+    const { data, errors } = recordToProductData(record);
+    const slug = record.slug ? String(record.slug).trim().toLowerCase() : "";
+    const row = {
+      // Spreadsheet row number (the header is row 1) or array position
+      row: isCsv ? index + 2 : index + 1,
+      sku: data.sku,
+      slug,
+      name: data.name,
+      action: "create",
+      errors,
+    };
+    rows.push(row);
+
+    if (!data.sku && !slug && !data.name) {
+      errors.push("Row needs a sku, slug or name");
+      continue;
+    }
+
+    ["sku", "slug"].forEach((key) => {
+      const value = key === "sku" ? data.sku : slug;
+      if (!value) return;
+      if (seenKeys.has(`${key}:${value}`)) {
+        errors.push(`Duplicate ${key} "${value}" in file`);
+      }
+      seenKeys.add(`${key}:${value}`);
+    });
+
+    // The category tree sets the category names of a linked product; plain
+    // category names unlink it, as they do in updateProduct
+    if (data.categorySlug) {
+      const category = await Category.findOne({ slug: data.categorySlug });
+      if (category) {
+        data.categoryRef = category._id;
+        delete data.category;
+        delete data.subCategory;
+      } else {
+        errors.push(`Unknown category "${data.categorySlug}"`);
+      }
+      delete data.categorySlug;
+    } else if (data.category || data.subCategory) {
+      data.categoryRef = null;
+      data.categoryPath = [];
+    }
+
+    getImageReferences(data).forEach((reference) => {
+      if (!isImageUrl(reference) && !zipImages.has(reference.toLowerCase())) {
+        errors.push(`Image "${reference}" is not a URL or a file in the zip`);
+      }
+    });
+
+    // Match by SKU first, then by current slug
+    let product =
+      (data.sku && (await Product.findOne({ sku: data.sku }))) ||
+      (slug && (await Product.findOne({ slug })));
+    if (slug && !product && !data.name) {
+      errors.push(`No product found with slug "${slug}"`);
+      continue;
+    }
+
+    row.action = product ? "update" : "create";
+    product = product || new Product({ createdBy: req.id });
+
+    // Validate with placeholder images; they are only uploaded on commit
+    await applyRowToProduct(product, data, async (reference) => ({
+      url: reference,
+    }));
+    try {
+      await product.validate();
+    } catch (error) {
+      errors.push(...getValidationMessages(error));
+    }
+
+    row.productId = product._id;
+    row.slug = product.slug || slug;
+    row.data = data;
+  }
+
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  invalidRows.forEach((row) => {
+    row.action = "error";
+  });
+
+  const buildReport = () => ({
+    dryRun,
+    summary: {
+      total: rows.length,
+      create: rows.filter((row) => row.action === "create").length,
+      update: rows.filter((row) => row.action === "update").length,
+      errors: rows.filter((row) => row.action === "error").length,
+    },
+    rows: rows.map(({ data, ...row }) => row),
+  });
+
+  if (dryRun) {
+    return sendSuccessResponse(
+      res,
+      200,
+      "Catalog import checked. Nothing was saved",
+      buildReport()
+    );
+  }
+
+  if (invalidRows.length > 0 && !skipInvalid) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Catalog has invalid rows. Fix them or set skipInvalid=true",
+      buildReport()
+    );
+  }
+
+  // Upload each distinct image once, even if several rows use it
+  const uploadedImages = new Map();
+  const resolveImage = (reference) => {
+    if (!uploadedImages.has(reference)) {
+      const upload = isImageUrl(reference)
+        ? uploadUrlToCloudinary(reference, "garden/products")
+        : uploadToCloudinary(
+            zipImages.get(reference.toLowerCase()).getData(),
+            "garden/products",
+            `product_${Date.now()}_${path.parse(reference).name}`
+          );
+      uploadedImages.set(reference, upload);
+    }
+    return uploadedImages.get(reference);
+  };
+
+  // Images the saved products use; uploads no saved product uses are
+  // removed afterwards. Rows can share an upload, so this waits for the end.
+  const usedImageIds = new Set();
+
+  for (const row of rows) {
+    if (row.action === "error") continue;
+
+    try {
+      // Reload so the dry-run placeholders are not saved
+      const product =
+        row.action === "update"
+          ? await Product.findById(row.productId)
+          : new Product({ _id: row.productId, createdBy: req.id });
+      const previousImageIds = getImagePublicIds(product);
+
+      await applyRowToProduct(product, row.data, resolveImage);
+      await product.save();
+      row.slug = product.slug;
+      getImagePublicIds(product).forEach((publicId) =>
+        usedImageIds.add(publicId)
+      );
+
+      // Remove images the row replaced
+      const keptImageIds = new Set(getImagePublicIds(product));
+      for (const publicId of previousImageIds) {
+        if (!keptImageIds.has(publicId)) {
+          await deleteFromCloudinary(publicId).catch((error) => {
+            console.error("Catalog image delete error:", error);
+          });
+        }
+      }
+    } catch (error) {
+      row.errors.push(...getValidationMessages(error));
+      row.action = "error";
+    }
+  }
+
+  const uploads = await Promise.allSettled(uploadedImages.values());
+  for (const upload of uploads) {
+    const publicId = upload.value?.public_id;
+    if (publicId && !usedImageIds.has(publicId)) {
+      await deleteFromCloudinary(publicId).catch((error) => {
+        console.error("Catalog image delete error:", error);
+      });
+    }
+  }
+
+  const report = buildReport();
+  await CatalogImport.create({
+    importedBy: req.id,
+    fileName: catalogFile.originalname,
+    imagesFileName: req.files.imagesZip?.[0]?.originalname,
+    skipInvalid,
+    summary: report.summary,
+    rows: rows.map((row) => ({
+      row: row.row,
+      action: row.action,
+      product: row.action === "error" ? undefined : row.productId,
+      sku: row.sku,
+      slug: row.slug,
+      name: row.name,
+      messages: row.errors,
+    })),
+  });
+
+  sendSuccessResponse(res, 200, "Catalog imported", report);
+});
+
+
+// Committed imports, newest first
+export const getCatalogImports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [imports, total] = await Promise.all([
+    CatalogImport.find()
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select("-rows")
+      .populate("importedBy", "fullName email"),
+    CatalogImport.countDocuments(),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    imports,
+    pageNumber,
+    pageSize,
+    total,
+    "Catalog imports fetched successfully"
+  );
+});
+
+
+export const getCatalogImport = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return sendErrorResponse(res, 404, "Catalog import not found");
+  }
+
+  const catalogImport = await CatalogImport.findById(req.params.id).populate(
+    "importedBy",
+    "fullName email"
+  );
+  if (!catalogImport) {
+    return sendErrorResponse(res, 404, "Catalog import not found");
+  }
+
+  sendSuccessResponse(res, 200, "Catalog import fetched successfully", {
+    catalogImport,
+  });
+});
+
+
+export const exportCatalog = asyncHandler(async (req, res) => {
+  const { format = "csv" } = req.query;
+
+  if (!["csv", "json"].includes(format)) {
+    return sendErrorResponse(res, 400, "Invalid format. Must be csv or json");
+  }
+
+  const products = await Product.find()
+    .sort({ category: 1, name: 1 })
+    .populate("categoryRef", "slug")
+    .lean();
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === "json") {
+    const records = products.map((product) => productToRecord(product));
+    res.set({
+      "Content-Type": "application/json",
+      "Content-Disposition": `attachment; filename="garden-catalog-${date}.json"`,
+    });
+    return res.status(200).send(JSON.stringify(records, null, 2));
+  }
+
+  const records = products.map((product) =>
+    productToRecord(product, { flat: true })
+  );
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="garden-catalog-${date}.csv"`,
+  });
+  res.status(200).send(toCsv(CATALOG_COLUMNS, records));
+});
@@ -0,0 +1,263 @@
+import Category from "../models/category.model.js";
+import Product from "../models/product.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sanitizeInput,
+} from "../utils/api.utils.js";
+import {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} from "../utils/cloudinary.utils.js";
+
+// Available products per category, counting products of subcategories too
+const getProductCounts = async () => {
+  const counts = await Product.aggregate([
+    { $match: Product.listedFilter() },
+    { $unwind: "$categoryPath" },
+    { $group: { _id: "$categoryPath", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+const withProductCounts = (categories, counts) =>
+  categories.map((category) => ({
+    ...category,
+    productCount: counts.get(category._id.toString()) || 0,
+  }));
+
+// Resolve the parent given in a request; "" or null means the root
+const findParent = async (parentId) => {
+  if (parentId === undefined || parentId === null || parentId === "") {
+    return { parent: null };
+  }
+
+  const parent = await Category.findByIdOrSlug(parentId);
+  if (!parent) {
+    return { error: "Parent category not found" };
+  }
+  return { parent };
+};
+
+// Re-file products under a category after its name or place in the tree
+// changed; saving re-derives their category names, path and keywords
+const resyncProducts = async (categoryId) => {
+  const cursor = Product.find({ categoryPath: categoryId }).cursor();
+  for await (const product of cursor) {
+    product.markModified("categoryRef");
+    await product.save({ validateModifiedOnly: true });
+  }
+};
+
+const uploadCategoryImage = async (file, categoryId) => {
+  const result = await uploadToCloudinary(
+    file.buffer,
+    "garden/categories",
+    `category_${categoryId}_${Date.now()}`
+  );
+  return { public_id: result.public_id, url: result.url };
+};
+
+
+export const getCategoryTree = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find({ isActive: true }).lean(),
+    getProductCounts(),
+  ]);
+
+  sendSuccessResponse(res, 200, "Categories fetched successfully", {
+    categories: Category.buildTree(withProductCounts(categories, counts)),
+  });
+});
+
+
+export const getCategoryBySlug = asyncHandler(async (req, res) => {
+  const category = await Category.findOne({
+    slug: req.params.slug.toLowerCase(),
+    isActive: true,
+  }).populate("ancestors", "name slug isActive");
+
+  // Hidden as well when any category above it is inactive
+  if (
+    !category ||
+    category.ancestors.some((ancestor) => !ancestor || !ancestor.isActive)
+  ) {
+    return sendErrorResponse(res, 404, "Category not found");
+  }
+
+  const children = await Category.find({
+    parent: category._id,
+    isActive: true,
+  })
+    .sort({ sortOrder: 1, name: 1 })
+    .select("name slug image sortOrder");
+
+  sendSuccessResponse(res, 200, "Category fetched successfully", {
+    category,
+    breadcrumbs: [
+      ...category.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+      { _id: category._id, name: category.name, slug: category.slug },
+    ],
+    children,
+  });
+});
+
+
+export const getAllCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find().lean(),
+    getProductCounts(),
+  ]);
+
+  sendSuccessResponse(res, 200, "Categories fetched successfully", {
+    categories: Category.buildTree(withProductCounts(categories, counts)),
+  });
+});
+
+
+export const createCategory = asyncHandler(async (req, res) => {
+  const { name, description, parentId, sortOrder, isActive } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["name"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const { parent, error } = await findParent(parentId);
+  if (error) {
+    return sendErrorResponse(res, 404, error);
+  }
+
+  const category = new Category({
+    name: sanitizeInput(name),
+    ...(description && { description: sanitizeInput(description) }),
+    ...(sortOrder !== undefined && { sortOrder: parseInt(sortOrder) || 0 }),
+    ...(isActive !== undefined && { isActive: String(isActive) === "true" }),
+  });
+  category.setParent(parent);
+
+  if (req.file) {
+    category.image = await uploadCategoryImage(req.file, category._id);
+  }
+
+  await category.save();
+
+  sendSuccessResponse(res, 201, "Category created successfully", {
+    category,
+  });
+});
+
+
+export const updateCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, parentId, sortOrder, isActive } = req.body;
+
+  const category = await Category.findById(id);
+  if (!category) {
+    return sendErrorResponse(res, 404, "Category not found");
+  }
+
+  const oldName = category.name;
+  const oldParent = category.parent?.toString() || null;
+
+  if (parentId !== undefined) {
+    const { parent, error } = await findParent(parentId);
+    if (error) {
+      return sendErrorResponse(res, 404, error);
+    }
+
+    // A category can't move below itself
+    if (
+      parent &&
+      (parent._id.equals(category._id) ||
+        parent.ancestors.some((ancestor) => ancestor.equals(category._id)))
+    ) {
+      return sendErrorResponse(
+        res,
+        400,
+        "A category cannot be moved under itself or its subcategories"
+      );
+    }
+    category.setParent(parent);
+  }
+
+  if (name !== undefined) category.name = sanitizeInput(name);
+  if (description !== undefined)
+    category.description = sanitizeInput(description);
+  if (sortOrder !== undefined) category.sortOrder = parseInt(sortOrder) || 0;
+  if (isActive !== undefined) category.isActive = String(isActive) === "true";
+
+  if (req.file) {
+    if (category.image && category.image.public_id) {
+      await deleteFromCloudinary(category.image.public_id);
+    }
+    category.image = await uploadCategoryImage(req.file, category._id);
+  }
+
+  await category.save();
+
+  const moved = (category.parent?.toString() || null) !== oldParent;
+  if (moved) {
+    // Rewrite the ancestors of everything below the moved category
+    const descendants = await Category.find({ ancestors: category._id });
+    await Promise.all(
+      descendants.map((descendant) => {
+        const index = descendant.ancestors.findIndex((ancestor) =>
+          ancestor.equals(category._id)
+        );
+        descendant.ancestors = [
+          ...category.ancestors,
+          category._id,
+          ...descendant.ancestors.slice(index + 1),
+        ];
+        return descendant.save();
+      })
+    );
+  }
+
+  if (moved || category.name !== oldName) {
+    await resyncProducts(category._id);
+  }
+
+  sendSuccessResponse(res, 200, "Category updated successfully", {
+    category,
+  });
+});
+
+
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const category = await Category.findById(id);
+  if (!category) {
+    return sendErrorResponse(res, 404, "Category not found");
+  }
+
+  // Only empty leaf categories can be deleted; deactivate the rest
+  const [childCount, productCount] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ categoryPath: category._id }),
+  ]);
+  if (childCount > 0 || productCount > 0) {
+    return sendErrorResponse(
+      res,
+      409,
+      "Category still has subcategories or products. Move them or deactivate the category instead"
+    );
+  }
+
+  if (category.image && category.image.public_id) {
+    await deleteFromCloudinary(category.image.public_id);
+  }
+
+  await Category.findByIdAndDelete(id);
+
+  sendSuccessResponse(res, 200, "Category deleted successfully");
+});
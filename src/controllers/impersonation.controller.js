@@ -0,0 +1,169 @@
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import ImpersonationLog from "../models/impersonationLog.model.js";
+import { isStaffRole } from "../config/roles.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sanitizeInput,
+  sendPaginatedResponse,
+} from "../utils/api.utils.js";
+
+const MAX_IMPERSONATION_MINUTES = 60;
+
+
+export const startImpersonation = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason, durationMinutes = 30 } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["reason"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const minutes = parseInt(durationMinutes);
+  if (!minutes || minutes < 1 || minutes > MAX_IMPERSONATION_MINUTES) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Duration must be between 1 and ${MAX_IMPERSONATION_MINUTES} minutes`
+    );
+  }
+
+  if (userId === req.id) {
+    return sendErrorResponse(res, 400, "You cannot impersonate yourself");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  // Only customers: acting as staff would hand out their permissions
+  if (isStaffRole(user.role)) {
+    return sendErrorResponse(res, 403, "Staff accounts cannot be impersonated");
+  }
+
+  if (!user.isActive) {
+    return sendErrorResponse(res, 400, "User account is deactivated");
+  }
+
+  const session = await Session.create({
+    user: user._id,
+    impersonator: req.id,
+    impersonationReason: sanitizeInput(reason),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  });
+
+  // Sent as "Authorization: Bearer <accessToken>"; there is no refresh token
+  const accessToken = user.generateAccessToken(session._id, `${minutes}m`);
+
+  sendSuccessResponse(res, 201, "Impersonation session started", {
+    accessToken,
+    session: {
+      id: session._id,
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+      },
+      expiresAt: session.expiresAt,
+    },
+  });
+});
+
+
+export const stopImpersonation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await Session.findOne({
+    _id: id,
+    impersonator: { $ne: null },
+  });
+  if (!session) {
+    return sendErrorResponse(res, 404, "Impersonation session not found");
+  }
+
+  session.revoke("impersonation_ended");
+  await session.save();
+
+  sendSuccessResponse(res, 200, "Impersonation session ended");
+});
+
+
+export const getImpersonations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, impersonator = "", user = "" } = req.query;
+
+  // Build query
+  const query = { impersonator: { $ne: null } };
+  if (impersonator) query.impersonator = impersonator;
+  if (user) query.user = user;
+
+  // Calculate pagination
+  const skip = (page - 1) * limit;
+
+  const sessions = await Session.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate("user", "fullName email")
+    .populate("impersonator", "fullName email")
+    .select(
+      "user impersonator impersonationReason ip createdAt expiresAt revokedAt revokedReason"
+    );
+
+  const total = await Session.countDocuments(query);
+
+  sendPaginatedResponse(
+    res,
+    sessions,
+    parseInt(page),
+    parseInt(limit),
+    total,
+    "Impersonation sessions fetched successfully"
+  );
+});
+
+
+export const getImpersonationLogs = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 50 } = req.query;
+
+  const session = await Session.findOne({
+    _id: id,
+    impersonator: { $ne: null },
+  });
+  if (!session) {
+    return sendErrorResponse(res, 404, "Impersonation session not found");
+  }
+
+  // Calculate pagination
+  const skip = (page - 1) * limit;
+
+  const [logs, total] = await Promise.all([
+    ImpersonationLog.find({ session: session._id })
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("method path statusCode ip createdAt"),
+    ImpersonationLog.countDocuments({ session: session._id }),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    logs,
+    parseInt(page),
+    parseInt(limit),
+    total,
+    "Impersonation logs fetched successfully"
+  );
+});
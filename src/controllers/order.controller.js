@@ -8,19 +8,58 @@ import {
   validateRequiredFields,
   sendPaginatedResponse,
 } from "../utils/api.utils.js";
+import { hasPermission } from "../config/roles.js";
+import { applyActivePriceRules } from "../utils/pricing.utils.js";
+
+// Change stock for an order item; variant stock and the product total move together
+const adjustItemStock = (item, quantity) => {
+  if (!item.variant) {
+    return Product.updateOne(
+      { _id: item.product },
+      { $inc: { stock: quantity } }
+    );
+  }
+
+  return Product.updateOne(
+    { _id: item.product, "variants._id": item.variant },
+    { $inc: { stock: quantity, "variants.$.stock": quantity } }
+  );
+};
 
 
 export const createOrder = asyncHandler(async (req, res) => {
-  const { shippingAddress, paymentMethod = "cod", notes } = req.body;
+  const { addressId, paymentMethod = "cod", notes } = req.body;
+  let { shippingAddress } = req.body;
 
-  // Validate required fields
-  const validation = validateRequiredFields(req.body, ["shippingAddress"]);
-  if (!validation.isValid) {
-    return sendErrorResponse(
-      res,
-      400,
-      `Missing required fields: ${validation.missingFields.join(", ")}`
-    );
+  // Use a saved address (by id, or the default when no address is sent);
+  // its fields are copied so later edits don't change this order
+  if (addressId || !shippingAddress) {
+    const savedAddress = addressId
+      ? req.user.addresses.id(addressId)
+      : req.user.getDefaultAddress();
+
+    if (!savedAddress) {
+      return sendErrorResponse(
+        res,
+        addressId ? 404 : 400,
+        addressId
+          ? "Saved address not found"
+          : "Missing required fields: shippingAddress or addressId"
+      );
+    }
+
+    const { label, fullName, street, city, state, zipCode, country, phone } =
+      savedAddress;
+    shippingAddress = {
+      label,
+      fullName,
+      street,
+      city,
+      state,
+      zipCode,
+      country,
+      phone,
+    };
   }
 
   // Validate shipping address fields
@@ -45,13 +84,17 @@ export const createOrder = asyncHandler(async (req, res) => {
   // Get user's cart
   const cart = await Cart.findOne({ user: req.id }).populate({
     path: "items.product",
-    select: "name price image stock isAvailable",
+    select:
+      "name price image stock isAvailable isArchived variants tags categoryPath",
   });
 
   if (!cart || cart.items.length === 0) {
     return sendErrorResponse(res, 400, "Cart is empty");
   }
 
+  // Charge sale prices running now, whatever the cart was priced at
+  await applyActivePriceRules(cart.items.map((item) => item.product));
+
   // Validate cart items
   const orderItems = [];
   let subtotal = 0;
@@ -60,7 +103,8 @@ export const createOrder = asyncHandler(async (req, res) => {
     const product = item.product;
 
     // Check product availability
-    if (!product || !product.isAvailable) {
+    const option = product?.getPurchaseOption(item.variant);
+    if (!product || !option || !option.isAvailable) {
       return sendErrorResponse(
         res,
         400,
@@ -68,12 +112,16 @@ export const createOrder = asyncHandler(async (req, res) => {
       );
     }
 
+    const itemName = option.variant
+      ? `${product.name} (${option.variant.label})`
+      : product.name;
+
     // Check stock
-    if (product.stock < item.quantity) {
+    if (option.stock < item.quantity) {
       return sendErrorResponse(
         res,
         400,
-        `Insufficient stock for ${product.name}. Available: ${product.stock}`
+        `Insufficient stock for ${itemName}. Available: ${option.stock}`
       );
     }
 
@@ -81,10 +129,21 @@ export const createOrder = asyncHandler(async (req, res) => {
     const orderItem = {
       product: product._id,
       name: product.name,
-      image: product.image.url,
+      ...(option.variant && {
+        variant: option.variant._id,
+        sku: option.variant.sku,
+        variantLabel: option.variant.label,
+      }),
+      image: option.image,
       quantity: item.quantity,
-      price: product.price,
-      total: product.price * item.quantity,
+      price: option.price,
+      total: option.price * item.quantity,
+      ...(product.sale && {
+        regularPrice: option.variant
+          ? option.variant.oldPrice
+          : product.oldPrice,
+        priceRule: product.sale.rule,
+      }),
     };
 
     orderItems.push(orderItem);
@@ -121,10 +180,8 @@ export const createOrder = asyncHandler(async (req, res) => {
     const order = await Order.create(orderData);
 
     // Update product stock
-    for (const item of cart.items) {
-      await Product.findByIdAndUpdate(item.product._id, {
-        $inc: { stock: -item.quantity },
-      });
+    for (const item of orderItems) {
+      await adjustItemStock(item, -item.quantity);
     }
 
     // Clear cart
@@ -194,8 +251,11 @@ export const getOrderById = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 404, "Order not found");
   }
 
-  // Check if user owns the order (unless admin)
-  if (req.user.role !== "admin" && order.user.toString() !== req.id) {
+  // Check if user owns the order (unless staff allowed to read orders)
+  if (
+    !hasPermission(req.user.role, "orders:read") &&
+    order.user?.toString() !== req.id
+  ) {
     return sendErrorResponse(res, 403, "Access denied");
   }
 
@@ -217,7 +277,7 @@ export const cancelOrder = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns the order
-  if (order.user.toString() !== req.id) {
+  if (order.user?.toString() !== req.id) {
     return sendErrorResponse(res, 403, "Access denied");
   }
 
@@ -237,9 +297,7 @@ export const cancelOrder = asyncHandler(async (req, res) => {
 
     // Restore product stock
     for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity },
-      });
+      await adjustItemStock(item, item.quantity);
     }
 
     sendSuccessResponse(res, 200, "Order cancelled successfully", {
@@ -0,0 +1,177 @@
+import PriceRule from "../models/priceRule.model.js";
+import Category from "../models/category.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sendPaginatedResponse,
+  sanitizeInput,
+} from "../utils/api.utils.js";
+
+const RULE_FIELDS = [
+  "name",
+  "targetType",
+  "products",
+  "category",
+  "tag",
+  "discountType",
+  "discountValue",
+  "startsAt",
+  "endsAt",
+  "isActive",
+];
+
+// Queries for each rule status, as of now
+const getStatusQuery = (status) => {
+  const now = new Date();
+  return {
+    active: { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } },
+    scheduled: { isActive: true, startsAt: { $gt: now } },
+    ended: { isActive: true, endsAt: { $lte: now } },
+    disabled: { isActive: false },
+  }[status];
+};
+
+// Turn request fields into rule fields; categories may be given by slug
+const prepareRuleData = async (body) => {
+  const data = {};
+  RULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (data.name !== undefined) data.name = sanitizeInput(data.name);
+  if (data.discountValue !== undefined) {
+    data.discountValue = parseFloat(data.discountValue);
+  }
+  if (data.isActive !== undefined) {
+    data.isActive = String(data.isActive) === "true";
+  }
+  if (typeof data.products === "string") {
+    data.products = JSON.parse(data.products);
+  }
+
+  if (data.category) {
+    const category = await Category.findByIdOrSlug(data.category);
+    if (!category) return { error: "Category not found" };
+    data.category = category._id;
+  }
+  return { data };
+};
+
+const isRuleInputError = (error) =>
+  error instanceof SyntaxError ||
+  error.name === "ValidationError" ||
+  error.name === "CastError";
+
+
+export const getPriceRules = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = "" } = req.query;
+
+  const query = status ? getStatusQuery(status) : {};
+  if (!query) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid status. Must be active, scheduled, ended or disabled"
+    );
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [rules, total] = await Promise.all([
+    PriceRule.find(query)
+      .sort({ startsAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("products", "name slug price")
+      .populate("category", "name slug")
+      .populate("createdBy", "fullName"),
+    PriceRule.countDocuments(query),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    rules,
+    pageNumber,
+    pageSize,
+    total,
+    "Price rules fetched successfully"
+  );
+});
+
+
+export const createPriceRule = asyncHandler(async (req, res) => {
+  const validation = validateRequiredFields(req.body, [
+    "name",
+    "targetType",
+    "discountType",
+    "discountValue",
+    "startsAt",
+    "endsAt",
+  ]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  try {
+    const { data, error } = await prepareRuleData(req.body);
+    if (error) {
+      return sendErrorResponse(res, 404, error);
+    }
+
+    const rule = await PriceRule.create({ ...data, createdBy: req.id });
+
+    sendSuccessResponse(res, 201, "Price rule created successfully", {
+      rule,
+    });
+  } catch (error) {
+    if (isRuleInputError(error)) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    throw error;
+  }
+});
+
+
+export const updatePriceRule = asyncHandler(async (req, res) => {
+  const rule = await PriceRule.findById(req.params.id);
+  if (!rule) {
+    return sendErrorResponse(res, 404, "Price rule not found");
+  }
+
+  try {
+    const { data, error } = await prepareRuleData(req.body);
+    if (error) {
+      return sendErrorResponse(res, 404, error);
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    sendSuccessResponse(res, 200, "Price rule updated successfully", {
+      rule,
+    });
+  } catch (error) {
+    if (isRuleInputError(error)) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    throw error;
+  }
+});
+
+
+// Deleting a running rule ends its sale at once; disable it to keep a record
+export const deletePriceRule = asyncHandler(async (req, res) => {
+  const rule = await PriceRule.findByIdAndDelete(req.params.id);
+  if (!rule) {
+    return sendErrorResponse(res, 404, "Price rule not found");
+  }
+
+  sendSuccessResponse(res, 200, "Price rule deleted successfully");
+});
@@ -1,4 +1,12 @@
 import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
+import Review from "../models/review.model.js";
+import Question from "../models/question.model.js";
+import SearchQuery from "../models/searchQuery.model.js";
+import ProductRecommendation from "../models/productRecommendation.model.js";
+import PriceRule from "../models/priceRule.model.js";
+import Cart from "../models/cart.model.js";
+import User from "../models/user.model.js";
 import {
   sendSuccessResponse,
   sendErrorResponse,
@@ -10,7 +18,114 @@ import {
   uploadToCloudinary,
   uploadMultipleToCloudinary,
   deleteFromCloudinary,
+  getThumbnailUrl,
 } from "../utils/cloudinary.utils.js";
+import {
+  buildSearchFilters,
+  buildFacetPipelines,
+  formatFacets,
+  tokenize,
+  escapeRegex,
+  keywordsMatch,
+  textMatches,
+} from "../utils/productSearch.utils.js";
+import { applyActivePriceRules } from "../utils/pricing.utils.js";
+import { hashToken } from "../utils/token.utils.js";
+
+// Variants arrive as a JSON string in multipart forms. A variant keeps the
+// image it already has, or gets variantImages[imageIndex] when one is sent.
+const prepareVariants = async (rawVariants, imageFiles = []) => {
+  const variants =
+    typeof rawVariants === "string" ? JSON.parse(rawVariants) : rawVariants;
+  if (!Array.isArray(variants)) {
+    throw new Error("Variants must be an array");
+  }
+
+  // A price or stock of 0 is valid, so check for presence rather than truthiness
+  variants.forEach((variant) => {
+    const missingFields = ["sku", "price", "stock"].filter(
+      (field) => variant[field] === undefined || variant[field] === ""
+    );
+    if (missingFields.length > 0) {
+      throw new Error(`Missing variant fields: ${missingFields.join(", ")}`);
+    }
+  });
+
+  return Promise.all(
+    variants.map(async ({ imageIndex, ...variant }) => {
+      const prepared = {
+        ...variant,
+        price: parseFloat(variant.price),
+        stock: parseInt(variant.stock),
+      };
+      if (variant.oldPrice) prepared.oldPrice = parseFloat(variant.oldPrice);
+      if (variant.isAvailable !== undefined)
+        prepared.isAvailable = String(variant.isAvailable) === "true";
+
+      const imageFile = imageFiles[imageIndex];
+      if (imageFile) {
+        prepared.image = await uploadToCloudinary(
+          imageFile.buffer,
+          "garden/products",
+          `variant_${Date.now()}_${imageIndex}`
+        );
+      }
+      return prepared;
+    })
+  );
+};
+
+// The most helpful approved reviews, shown with the product; the rest are
+// paged through the reviews endpoint
+const getTopReviews = (productId) =>
+  Review.find({ product: productId, status: "approved" })
+    .sort({ helpfulCount: -1, createdAt: -1 })
+    .limit(3)
+    .select("-moderatedBy -moderationNote")
+    .populate("user", "fullName avatar");
+
+// Fields staff may change through updateProduct. Archiving, slugs, ratings
+// and search keywords have their own endpoints or are derived.
+const UPDATABLE_FIELDS = [
+  "name",
+  "sku",
+  "desc",
+  "price",
+  "oldPrice",
+  "category",
+  "subCategory",
+  "categoryId",
+  "stock",
+  "isAvailable",
+  "variants",
+  "tags",
+  "featured",
+  "trending",
+  "specifications",
+  "careInstructions",
+  "plantingTime",
+  "harvestTime",
+  "sunlightRequirement",
+  "waterRequirement",
+  "soilType",
+];
+
+// Delete images from cloudinary; a leftover image is only logged, since it
+// doesn't change the outcome of the request
+const deleteProductImages = async (publicIds) => {
+  for (const publicId of publicIds) {
+    try {
+      await deleteFromCloudinary(publicId);
+    } catch (error) {
+      console.error("Product image delete error:", error);
+    }
+  }
+};
+
+const isVariantInputError = (error) =>
+  error instanceof SyntaxError ||
+  error.message.includes("Variants must be") ||
+  error.message.includes("Missing variant fields");
 
 
 export const getAllProducts = asyncHandler(async (req, res) => {
@@ -21,7 +136,7 @@ export const getAllProducts = asyncHandler(async (req, res) => {
     search = "",
     minPrice = 0,
     maxPrice = "",
-    sortBy = "createdAt",
+    sortBy = "",
     sortOrder = "desc",
     featured = "",
     trending = "",
@@ -29,20 +144,24 @@ export const getAllProducts = asyncHandler(async (req, res) => {
   } = req.query;
 
   // Build query
-  const query = { isAvailable: true };
+  const query = Product.listedFilter();
 
+  // A managed category (id or slug) includes its subcategories; other
+  // values match the category name
   if (category && category !== "All") {
-    query.category = category;
+    const managedCategory = await Category.findByIdOrSlug(category);
+    if (managedCategory) {
+      query.categoryPath = managedCategory._id;
+    } else {
+      query.category = category;
+    }
   }
 
   if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: "i" } },
-      { desc: { $regex: search, $options: "i" } },
-      { tags: { $in: [new RegExp(search, "i")] } },
-    ];
+    query.$text = { $search: search };
   }
 
+  // Price filters and sorting use regular prices, not sale prices
   if (minPrice || maxPrice) {
     query.price = {};
     if (minPrice) query.price.$gte = parseFloat(minPrice);
@@ -53,19 +172,26 @@ export const getAllProducts = asyncHandler(async (req, res) => {
   if (trending !== "") query.trending = trending === "true";
   if (isNew !== "") query.isNew = isNew === "true";
 
-  // Build sort
+  // Build sort (searches rank by relevance unless a sort is chosen)
   const sort = {};
-  sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+  if (search && !sortBy) {
+    sort.score = { $meta: "textScore" };
+  } else {
+    sort[sortBy || "createdAt"] = sortOrder === "desc" ? -1 : 1;
+  }
 
   // Calculate pagination
   const skip = (page - 1) * limit;
 
   // Get products
-  const products = await Product.find(query)
+  const products = await Product.find(
+    query,
+    search ? { score: { $meta: "textScore" } } : {}
+  )
     .sort(sort)
     .skip(skip)
-    .limit(parseInt(limit))
-    .select("-reviews");
+    .limit(parseInt(limit));
+  await applyActivePriceRules(products);
 
   const total = await Product.countDocuments(query);
 
@@ -82,17 +208,56 @@ export const getAllProducts = asyncHandler(async (req, res) => {
 export const getProductById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const product = await Product.findById(id).populate({
-    path: "reviews.user",
-    select: "fullName avatar",
+  const product = await Product.findById(id).populate(
+    "categoryPath",
+    "name slug"
+  );
+
+  if (!product) {
+    return sendErrorResponse(res, 404, "Product not found");
+  }
+
+  await applyActivePriceRules([product]);
+  const [topReviews, questions] = await Promise.all([
+    getTopReviews(product._id),
+    Question.getTopForProduct(product._id, 3),
+  ]);
+
+  sendSuccessResponse(res, 200, "Product fetched successfully", {
+    product,
+    topReviews,
+    questionCount: questions.count,
+    topQuestions: questions.questions,
   });
+});
+
+export const getProductBySlug = asyncHandler(async (req, res) => {
+  const slug = req.params.slug.toLowerCase();
+
+  // Old slugs still resolve, but tell the client where the product lives now
+  const product = await Product.findOne({
+    $or: [{ slug }, { slugHistory: slug }],
+  }).populate("categoryPath", "name slug");
 
   if (!product) {
     return sendErrorResponse(res, 404, "Product not found");
   }
 
+  await applyActivePriceRules([product]);
+  const isCanonical = product.slug === slug;
+  const [topReviews, questions] = await Promise.all([
+    getTopReviews(product._id),
+    Question.getTopForProduct(product._id, 3),
+  ]);
+
   sendSuccessResponse(res, 200, "Product fetched successfully", {
     product,
+    topReviews,
+    questionCount: questions.count,
+    topQuestions: questions.questions,
+    canonicalSlug: product.slug,
+    isCanonical,
+    ...(!isCanonical && { redirectTo: `/product/${product.slug}` }),
   });
 });
 
@@ -107,6 +272,7 @@ export const addProduct = asyncHandler(async (req, res) => {
     oldPrice,
     category,
     subCategory,
+    categoryId,
     stock,
     tags,
     featured,
@@ -118,15 +284,16 @@ export const addProduct = asyncHandler(async (req, res) => {
     sunlightRequirement,
     waterRequirement,
     soilType,
+    variants,
   } = req.body;
 
-  // Validate required fields
+  // Products with variants take price and stock from them; a categoryId
+  // sets the category names from the category tree
   const validation = validateRequiredFields(req.body, [
     "name",
     "desc",
-    "price",
-    "category",
-    "stock",
+    ...(categoryId ? [] : ["category"]),
+    ...(variants ? [] : ["price", "stock"]),
   ]);
   if (!validation.isValid) {
     return sendErrorResponse(
@@ -141,6 +308,9 @@ export const addProduct = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 400, "Main product image is required");
   }
 
+  // Uploaded for this product, and removed again if it can't be created
+  const uploadedImageIds = [];
+
   try {
     // Upload main image
     const mainImageResult = await uploadToCloudinary(
@@ -148,14 +318,22 @@ export const addProduct = asyncHandler(async (req, res) => {
       "garden/products",
       `product_${Date.now()}_main`
     );
+    uploadedImageIds.push(mainImageResult.public_id);
 
     // Prepare product data
+    const preparedVariants =
+      variants && (await prepareVariants(variants, req.files.variantImages));
+    preparedVariants?.forEach((variant) => {
+      if (variant.image) uploadedImageIds.push(variant.image.public_id);
+    });
+
     const productData = {
       name,
       desc,
-      price: parseFloat(price),
-      category,
-      stock: parseInt(stock),
+      ...(categoryId ? { categoryRef: categoryId } : { category }),
+      ...(variants
+        ? { variants: preparedVariants }
+        : { price: parseFloat(price), stock: parseInt(stock) }),
       image: {
         public_id: mainImageResult.public_id,
         url: mainImageResult.url,
@@ -165,7 +343,7 @@ export const addProduct = asyncHandler(async (req, res) => {
 
     // Optional fields
     if (oldPrice) productData.oldPrice = parseFloat(oldPrice);
-    if (subCategory) productData.subCategory = subCategory;
+    if (subCategory && !categoryId) productData.subCategory = subCategory;
     if (tags) productData.tags = JSON.parse(tags);
     if (featured !== undefined) productData.featured = featured === "true";
     if (trending !== undefined) productData.trending = trending === "true";
@@ -188,6 +366,9 @@ export const addProduct = asyncHandler(async (req, res) => {
         "garden/products"
       );
       productData.images = additionalImagesResults;
+      uploadedImageIds.push(
+        ...additionalImagesResults.map((image) => image.public_id)
+      );
     }
 
     const product = await Product.create(productData);
@@ -196,6 +377,14 @@ export const addProduct = asyncHandler(async (req, res) => {
       product,
     });
   } catch (error) {
+    await deleteProductImages(uploadedImageIds);
+
+    if (isVariantInputError(error)) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     console.error("Error adding product:", error);
     return sendErrorResponse(res, 500, "Failed to add product");
   }
@@ -206,7 +395,10 @@ export const addProduct = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 export const updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updateData = { ...req.body };
+  const updateData = {};
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  });
 
   // Find existing product
   const product = await Product.findById(id);
@@ -214,12 +406,17 @@ export const updateProduct = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 404, "Product not found");
   }
 
+  // Replaced images are deleted once the update has been saved, so a
+  // failed update doesn't leave the product pointing at missing images
+  const replacedImageIds = [];
+  // Uploaded for this update, and removed again if it fails
+  const uploadedImageIds = [];
+
   try {
     // Handle main image update
     if (req.files && req.files.image) {
-      // Delete old main image
       if (product.image && product.image.public_id) {
-        await deleteFromCloudinary(product.image.public_id);
+        replacedImageIds.push(product.image.public_id);
       }
 
       // Upload new main image
@@ -233,15 +430,15 @@ export const updateProduct = asyncHandler(async (req, res) => {
         public_id: mainImageResult.public_id,
         url: mainImageResult.url,
       };
+      uploadedImageIds.push(mainImageResult.public_id);
     }
 
     // Handle additional images update
     if (req.files && req.files.images) {
-      // Delete old additional images
       if (product.images && product.images.length > 0) {
         for (const img of product.images) {
           if (img.public_id) {
-            await deleteFromCloudinary(img.public_id);
+            replacedImageIds.push(img.public_id);
           }
         }
       }
@@ -252,8 +449,72 @@ export const updateProduct = asyncHandler(async (req, res) => {
         "garden/products"
       );
       updateData.images = additionalImagesResults;
+      uploadedImageIds.push(
+        ...additionalImagesResults.map((image) => image.public_id)
+      );
+    }
+
+    // Replace variants, dropping images of variants that are removed
+    if (updateData.variants) {
+      updateData.variants = await prepareVariants(
+        updateData.variants,
+        req.files?.variantImages
+      );
+
+      const previousImageIds = new Set(
+        product.variants.map((variant) => variant.image?.public_id)
+      );
+      updateData.variants.forEach((variant) => {
+        const publicId = variant.image?.public_id;
+        if (publicId && !previousImageIds.has(publicId)) {
+          uploadedImageIds.push(publicId);
+        }
+      });
+
+      const keptImageIds = new Set(
+        updateData.variants.map((variant) => variant.image?.public_id)
+      );
+      for (const variant of product.variants) {
+        const publicId = variant.image?.public_id;
+        if (publicId && !keptImageIds.has(publicId)) {
+          replacedImageIds.push(publicId);
+        }
+      }
     }
 
+    // With variants, price and stock are worked out from them
+    const hasVariants = updateData.variants
+      ? updateData.variants.length > 0
+      : product.variants.length > 0;
+    if (
+      hasVariants &&
+      (updateData.price !== undefined || updateData.stock !== undefined)
+    ) {
+      await deleteProductImages(uploadedImageIds);
+      return sendErrorResponse(
+        res,
+        400,
+        "Set price and stock on the variants of this product"
+      );
+    }
+
+    // Refile under a managed category, or unlink it when the category is
+    // given as plain text
+    if (updateData.categoryId) {
+      const categoryFields = await Product.getCategoryFields(
+        updateData.categoryId
+      );
+      if (!categoryFields) {
+        await deleteProductImages(uploadedImageIds);
+        return sendErrorResponse(res, 400, "Category not found");
+      }
+      Object.assign(updateData, categoryFields);
+    } else if (updateData.category) {
+      updateData.categoryRef = null;
+      updateData.categoryPath = [];
+    }
+    delete updateData.categoryId;
+
     // Convert numeric fields
     if (updateData.price) updateData.price = parseFloat(updateData.price);
     if (updateData.oldPrice)
@@ -286,100 +547,167 @@ export const updateProduct = asyncHandler(async (req, res) => {
       runValidators: true,
     });
 
+    await deleteProductImages(replacedImageIds);
+
     sendSuccessResponse(res, 200, "Product updated successfully", {
       product: updatedProduct,
     });
   } catch (error) {
+    await deleteProductImages(uploadedImageIds);
+
+    if (isVariantInputError(error)) {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return sendErrorResponse(res, 400, error.message);
+    }
     console.error("Error updating product:", error);
     return sendErrorResponse(res, 500, "Failed to update product");
   }
 });
 
 
-export const deleteProduct = asyncHandler(async (req, res) => {
+// Archive instead of deleting: orders still reference the product, so it
+// stays resolvable but is hidden and can't be bought. See purgeProduct.
+export const archiveProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const product = await Product.findById(id);
   if (!product) {
     return sendErrorResponse(res, 404, "Product not found");
   }
+  if (product.isArchived) {
+    return sendErrorResponse(res, 400, "Product is already archived");
+  }
 
-  try {
-    // Delete main image from cloudinary
-    if (product.image && product.image.public_id) {
-      await deleteFromCloudinary(product.image.public_id);
-    }
+  await Product.updateOne(
+    { _id: id },
+    { isArchived: true, archivedAt: new Date(), archivedBy: req.id }
+  );
 
-    // Delete additional images from cloudinary
-    if (product.images && product.images.length > 0) {
-      for (const img of product.images) {
-        if (img.public_id) {
-          await deleteFromCloudinary(img.public_id);
-        }
-      }
-    }
+  sendSuccessResponse(res, 200, "Product archived successfully");
+});
 
-    // Delete product from database
-    await Product.findByIdAndDelete(id);
 
-    sendSuccessResponse(res, 200, "Product deleted successfully");
-  } catch (error) {
-    console.error("Error deleting product:", error);
-    return sendErrorResponse(res, 500, "Failed to delete product");
+export const restoreProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const product = await Product.findById(id);
+  if (!product) {
+    return sendErrorResponse(res, 404, "Product not found");
   }
+  if (!product.isArchived) {
+    return sendErrorResponse(res, 400, "Product is not archived");
+  }
+
+  const restoredProduct = await Product.findByIdAndUpdate(
+    id,
+    { isArchived: false, $unset: { archivedAt: "", archivedBy: "" } },
+    { new: true }
+  );
+
+  sendSuccessResponse(res, 200, "Product restored successfully", {
+    product: restoredProduct,
+  });
 });
 
 
-export const addProductReview = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { rating, comment } = req.body;
+export const getArchivedProducts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
 
-  // Validate required fields
-  const validation = validateRequiredFields(req.body, ["rating"]);
-  if (!validation.isValid) {
-    return sendErrorResponse(
-      res,
-      400,
-      `Missing required fields: ${validation.missingFields.join(", ")}`
-    );
-  }
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
 
-  // Validate rating
-  if (rating < 1 || rating > 5) {
-    return sendErrorResponse(res, 400, "Rating must be between 1 and 5");
-  }
+  const [products, total] = await Promise.all([
+    Product.find({ isArchived: true })
+      .sort({ archivedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("archivedBy", "fullName"),
+    Product.countDocuments({ isArchived: true }),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    products,
+    pageNumber,
+    pageSize,
+    total,
+    "Archived products fetched successfully"
+  );
+});
+
+
+// Permanently delete an archived product: its images, reviews and questions,
+// and its lines in carts and wishlists. Orders keep their own snapshot of it.
+export const purgeProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
   const product = await Product.findById(id);
   if (!product) {
     return sendErrorResponse(res, 404, "Product not found");
   }
+  if (!product.isArchived) {
+    return sendErrorResponse(res, 400, "Archive the product before purging it");
+  }
 
-  // Check if user already reviewed this product
-  const existingReview = product.reviews.find(
-    (review) => review.user.toString() === req.id
-  );
+  try {
+    // Delete main image from cloudinary
+    if (product.image && product.image.public_id) {
+      await deleteFromCloudinary(product.image.public_id);
+    }
 
-  if (existingReview) {
-    return sendErrorResponse(
-      res,
-      400,
-      "You have already reviewed this product"
-    );
-  }
+    // Delete additional images from cloudinary
+    if (product.images && product.images.length > 0) {
+      for (const img of product.images) {
+        if (img.public_id) {
+          await deleteFromCloudinary(img.public_id);
+        }
+      }
+    }
 
-  // Add review
-  product.reviews.push({
-    user: req.id,
-    rating: parseInt(rating),
-    comment: comment || "",
-  });
+    // Delete variant images from cloudinary
+    for (const variant of product.variants) {
+      if (variant.image && variant.image.public_id) {
+        await deleteFromCloudinary(variant.image.public_id);
+      }
+    }
 
-  // Update ratings
-  product.updateRatings();
+    // Delete product with its reviews, questions and recommendations
+    await Product.findByIdAndDelete(id);
+    await Promise.all([
+      Review.deleteMany({ product: id }),
+      Question.deleteMany({ product: id }),
+      ProductRecommendation.deleteMany({ product: id }),
+      ProductRecommendation.updateMany(
+        { "items.product": id },
+        { $pull: { items: { product: product._id } } }
+      ),
+      PriceRule.updateMany({ products: id }, { $pull: { products: id } }),
+    ]);
+
+    // Saving each cart recalculates its totals
+    const carts = await Cart.find({ "items.product": id });
+    for (const cart of carts) {
+      cart.items = cart.items.filter(
+        (item) => !item.product.equals(product._id)
+      );
+      await cart.save();
+    }
 
-  await product.save();
+    const wishlists = await User.updateMany(
+      { wishlist: id },
+      { $pull: { wishlist: id } }
+    );
 
-  sendSuccessResponse(res, 201, "Review added successfully");
+    sendSuccessResponse(res, 200, "Product purged successfully", {
+      removedFromCarts: carts.length,
+      removedFromWishlists: wishlists.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error purging product:", error);
+    return sendErrorResponse(res, 500, "Failed to purge product");
+  }
 });
 
 
@@ -387,12 +715,12 @@ export const getFeaturedProducts = asyncHandler(async (req, res) => {
   const { limit = 8 } = req.query;
 
   const products = await Product.find({
+    ...Product.listedFilter(),
     featured: true,
-    isAvailable: true,
   })
     .sort({ createdAt: -1 })
-    .limit(parseInt(limit))
-    .select("-reviews");
+    .limit(parseInt(limit));
+  await applyActivePriceRules(products);
 
   sendSuccessResponse(res, 200, "Featured products fetched successfully", {
     products,
@@ -404,12 +732,12 @@ export const getTrendingProducts = asyncHandler(async (req, res) => {
   const { limit = 8 } = req.query;
 
   const products = await Product.find({
+    ...Product.listedFilter(),
     trending: true,
-    isAvailable: true,
   })
     .sort({ "ratings.average": -1 })
-    .limit(parseInt(limit))
-    .select("-reviews");
+    .limit(parseInt(limit));
+  await applyActivePriceRules(products);
 
   sendSuccessResponse(res, 200, "Trending products fetched successfully", {
     products,
@@ -421,12 +749,12 @@ export const getNewProducts = asyncHandler(async (req, res) => {
   const { limit = 8 } = req.query;
 
   const products = await Product.find({
+    ...Product.listedFilter(),
     isNew: true,
-    isAvailable: true,
   })
     .sort({ createdAt: -1 })
-    .limit(parseInt(limit))
-    .select("-reviews");
+    .limit(parseInt(limit));
+  await applyActivePriceRules(products);
 
   sendSuccessResponse(res, 200, "New products fetched successfully", {
     products,
@@ -435,47 +763,207 @@ export const getNewProducts = asyncHandler(async (req, res) => {
 
 
 export const searchProducts = asyncHandler(async (req, res) => {
-  const { q, category, minPrice, maxPrice, limit = 20 } = req.query;
+  const { q = "", sortBy = "relevance", page = 1, limit = 20 } = req.query;
+
+  const search = q.trim();
+  const filters = buildSearchFilters(req.query);
 
-  if (!q) {
-    return sendErrorResponse(res, 400, "Search query is required");
+  // Narrow to a managed category and its subcategories
+  if (req.query.categorySlug) {
+    const category = await Category.findByIdOrSlug(req.query.categorySlug);
+    if (!category) {
+      return sendErrorResponse(res, 404, "Category not found");
+    }
+    filters.categoryPath = category._id;
   }
 
-  const query = {
-    isAvailable: true,
-    $or: [
-      { name: { $regex: q, $options: "i" } },
-      { desc: { $regex: q, $options: "i" } },
-      { tags: { $in: [new RegExp(q, "i")] } },
-    ],
+  const sortOptions = {
+    relevance: search
+      ? { score: -1, "ratings.average": -1, _id: 1 }
+      : { "ratings.average": -1, createdAt: -1, _id: 1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    rating: { "ratings.average": -1, "ratings.count": -1, _id: 1 },
+    newest: { createdAt: -1, _id: 1 },
   };
-
-  if (category && category !== "All") {
-    query.category = category;
+  const sort = sortOptions[sortBy];
+  if (!sort) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Invalid sortBy. Must be one of: ${Object.keys(sortOptions).join(", ")}`
+    );
   }
 
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = parseFloat(minPrice);
-    if (maxPrice) query.price.$lte = parseFloat(maxPrice);
-  }
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
 
-  const products = await Product.find(query)
-    .sort({ "ratings.average": -1, createdAt: -1 })
-    .limit(parseInt(limit))
-    .select("-reviews");
+  // $text must be the first stage; facets then share the matched set
+  const [result] = await Product.aggregate([
+    {
+      $match: {
+        ...Product.listedFilter(),
+        ...(search && { $text: { $search: search } }),
+      },
+    },
+    ...(search ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        products: [
+          { $match: filters },
+          { $sort: sort },
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+          // Aggregation ignores select: false, so drop internal fields here
+          { $unset: "searchKeywords" },
+        ],
+        total: [{ $match: filters }, { $count: "count" }],
+        ...buildFacetPipelines(filters),
+      },
+    },
+  ]);
+
+  // Hydrate so results carry the same virtuals and sale prices as other
+  // product listings
+  const documents = result.products.map((doc) => Product.hydrate(doc));
+  await applyActivePriceRules(documents);
+  const products = documents.map((product, index) => ({
+    ...product.toJSON(),
+    ...(search && { score: result.products[index].score }),
+  }));
+  const total = result.total[0]?.count || 0;
+
+  // Count the query for typeahead's popular searches
+  if (search && pageNumber === 1) {
+    SearchQuery.record(
+      search,
+      total,
+      products[0]?.image?.url,
+      hashToken(req.ip)
+    ).catch((error) => {
+      console.error("Search query record error:", error);
+    });
+  }
 
   sendSuccessResponse(res, 200, "Search results fetched successfully", {
     products,
-    query: q,
+    query: search,
     resultCount: products.length,
+    facets: formatFacets(result),
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalItems: total,
+      itemsPerPage: pageSize,
+      hasNextPage: pageNumber * pageSize < total,
+      hasPrevPage: pageNumber > 1,
+    },
+  });
+});
+
+
+export const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { q = "", limit = 5 } = req.query;
+
+  const terms = tokenize(q).slice(0, 5);
+  const maxResults = Math.min(Math.max(parseInt(limit) || 5, 1), 10);
+
+  res.set("Cache-Control", "public, max-age=60");
+
+  if (terms.length === 0) {
+    return sendSuccessResponse(res, 200, "Suggestions fetched successfully", {
+      query: q,
+      products: [],
+      tags: [],
+      categories: [],
+      queries: [],
+    });
+  }
+
+  // Narrow down on the indexed keywords by each word's first two letters,
+  // then allow for typos in the rest of the word
+  const keywordPrefixes = terms.map((term) => ({
+    searchKeywords: { $regex: `^${escapeRegex(term.slice(0, 2))}` },
+  }));
+
+  const [candidates, pastQueries] = await Promise.all([
+    Product.find({ ...Product.listedFilter(), $and: keywordPrefixes })
+      .sort({ "ratings.count": -1, _id: 1 })
+      .limit(200)
+      .select(
+        "name slug price oldPrice image tags category subCategory variants categoryPath +searchKeywords"
+      )
+      .lean(),
+    SearchQuery.find({
+      ...SearchQuery.suggestableFilter(),
+      query: { $regex: `^${escapeRegex(terms[0].slice(0, 2))}` },
+    })
+      .sort({ count: -1 })
+      .limit(50)
+      .lean(),
+  ]);
+
+  const matches = candidates.filter((product) =>
+    keywordsMatch(terms, product.searchKeywords)
+  );
+
+  // Count tag and category values among the matches; each shows the image of
+  // the most reviewed product carrying it
+  const collectValues = (getValues) => {
+    const values = new Map();
+    matches.forEach((product) => {
+      [...new Set(getValues(product))]
+        .filter((value) => value && textMatches(terms, value))
+        .forEach((value) => {
+          const entry = values.get(value) || {
+            value,
+            count: 0,
+            thumbnail: getThumbnailUrl(product.image?.url),
+          };
+          entry.count += 1;
+          values.set(value, entry);
+        });
+    });
+    return Array.from(values.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxResults);
+  };
+
+  // Show sale prices, as product pages do
+  const topProducts = await applyActivePriceRules(
+    matches.slice(0, maxResults).map((product) => Product.hydrate(product))
+  );
+
+  sendSuccessResponse(res, 200, "Suggestions fetched successfully", {
+    query: q,
+    products: topProducts.map((product) => ({
+      id: product._id,
+      name: product.name,
+      slug: product.slug,
+      price: product.price,
+      oldPrice: product.oldPrice,
+      thumbnail: getThumbnailUrl(product.image?.url),
+    })),
+    tags: collectValues((product) => product.tags || []),
+    categories: collectValues((product) => [
+      product.category,
+      product.subCategory,
+    ]),
+    queries: pastQueries
+      .filter((pastQuery) => textMatches(terms, pastQuery.query))
+      .slice(0, maxResults)
+      .map((pastQuery) => ({
+        value: pastQuery.query,
+        count: pastQuery.count,
+        thumbnail: getThumbnailUrl(pastQuery.thumbnail),
+      })),
   });
 });
 
 
 export const updateProductStock = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { stock, operation = "set" } = req.body;
+  const { stock, variantId, operation = "set" } = req.body;
 
   if (stock === undefined) {
     return sendErrorResponse(res, 400, "Stock value is required");
@@ -486,13 +974,28 @@ export const updateProductStock = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 404, "Product not found");
   }
 
+  // Products with variants keep stock per variant
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    return sendErrorResponse(res, 404, "Variant not found");
+  }
+  if (!variant && product.variants.length > 0) {
+    return sendErrorResponse(
+      res,
+      400,
+      "variantId is required for products with variants"
+    );
+  }
+
+  const currentStock = variant ? variant.stock : product.stock;
+
   let newStock;
   switch (operation) {
     case "add":
-      newStock = product.stock + parseInt(stock);
+      newStock = currentStock + parseInt(stock);
       break;
     case "subtract":
-      newStock = product.stock - parseInt(stock);
+      newStock = currentStock - parseInt(stock);
       break;
     case "set":
     default:
@@ -504,8 +1007,13 @@ export const updateProductStock = asyncHandler(async (req, res) => {
     return sendErrorResponse(res, 400, "Stock cannot be negative");
   }
 
-  product.stock = newStock;
-  product.isAvailable = newStock > 0;
+  if (variant) {
+    variant.stock = newStock;
+    product.syncVariantTotals();
+  } else {
+    product.stock = newStock;
+  }
+  product.isAvailable = product.stock > 0;
   await product.save();
 
   sendSuccessResponse(res, 200, "Product stock updated successfully", {
@@ -514,6 +1022,9 @@ export const updateProductStock = asyncHandler(async (req, res) => {
       name: product.name,
       stock: product.stock,
       isAvailable: product.isAvailable,
+      ...(variant && {
+        variant: { id: variant._id, sku: variant.sku, stock: variant.stock },
+      }),
     },
   });
 });
@@ -0,0 +1,334 @@
+import mongoose from "mongoose";
+import Question from "../models/question.model.js";
+import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sendPaginatedResponse,
+  sanitizeInput,
+} from "../utils/api.utils.js";
+import { hasPermission } from "../config/roles.js";
+
+const QUESTION_SORTS = {
+  top: { upvoteCount: -1, answerCount: -1, createdAt: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+};
+
+const AUTHOR_FIELDS = "fullName avatar";
+
+// Customers with a delivered order of the product may answer when enabled
+const buyerAnswersEnabled = () => process.env.QA_BUYER_ANSWERS === "true";
+
+
+export const getProductQuestions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 10, sortBy = "top", answered = "" } = req.query;
+
+  const sort = QUESTION_SORTS[sortBy];
+  if (!sort) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Invalid sortBy. Must be one of: ${Object.keys(QUESTION_SORTS).join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!mongoose.isValidObjectId(id) || !(await Product.exists({ _id: id }))) {
+    return sendErrorResponse(res, 404, "Product not found");
+  }
+
+  const query = { product: id, status: "published" };
+  if (answered === "true") query.answerCount = { $gt: 0 };
+  if (answered === "false") query.answerCount = 0;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+  const [questions, total] = await Promise.all([
+    Question.find(query)
+      .sort(sort)
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("user", AUTHOR_FIELDS)
+      .populate("answers.user", AUTHOR_FIELDS),
+    Question.countDocuments(query),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    questions.map((question) => question.toPublicJSON()),
+    pageNumber,
+    pageSize,
+    total,
+    "Questions fetched successfully"
+  );
+});
+
+
+export const askQuestion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { question } = req.body;
+
+  const validation = validateRequiredFields(req.body, ["question"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  // Archived products no longer take new questions
+  if (
+    !mongoose.isValidObjectId(id) ||
+    !(await Product.exists({ _id: id, isArchived: { $ne: true } }))
+  ) {
+    return sendErrorResponse(res, 404, "Product not found");
+  }
+
+  try {
+    const created = await Question.create({
+      product: id,
+      user: req.id,
+      text: sanitizeInput(question),
+    });
+
+    sendSuccessResponse(res, 201, "Question posted successfully", {
+      question: created,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    throw error;
+  }
+});
+
+
+// Staff answers are published at once; buyer answers wait for moderation
+export const answerQuestion = asyncHandler(async (req, res) => {
+  const { questionId } = req.params;
+  const { answer } = req.body;
+
+  if (!mongoose.isValidObjectId(questionId)) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  const validation = validateRequiredFields(req.body, ["answer"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const question = await Question.findOne({
+    _id: questionId,
+    status: "published",
+  });
+  if (!question) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  const isStaffAnswer = hasPermission(req.user.role, "questions:answer");
+  const isVerifiedBuyer =
+    !isStaffAnswer &&
+    buyerAnswersEnabled() &&
+    Boolean(
+      await Order.exists({
+        user: req.id,
+        orderStatus: "delivered",
+        "items.product": question.product,
+      })
+    );
+
+  if (!isStaffAnswer && !isVerifiedBuyer) {
+    return sendErrorResponse(
+      res,
+      403,
+      "Only staff and customers who bought this product can answer"
+    );
+  }
+
+  question.answers.push({
+    user: req.id,
+    text: sanitizeInput(answer),
+    isStaffAnswer,
+    isVerifiedBuyer,
+    ...(isStaffAnswer && {
+      status: "approved",
+      moderatedBy: req.id,
+      moderatedAt: new Date(),
+    }),
+  });
+
+  try {
+    await question.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return sendErrorResponse(res, 400, error.message);
+    }
+    throw error;
+  }
+
+  sendSuccessResponse(
+    res,
+    201,
+    isStaffAnswer
+      ? "Answer posted successfully"
+      : "Answer submitted and awaiting moderation",
+    { answer: question.answers[question.answers.length - 1] }
+  );
+});
+
+
+export const upvoteQuestion = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.questionId)) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  const question = await Question.setUpvote(
+    { _id: req.params.questionId, status: "published" },
+    req.id,
+    true
+  );
+  if (!question) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  sendSuccessResponse(res, 200, "Question upvoted", {
+    upvoteCount: question.upvoteCount,
+  });
+});
+
+
+export const removeQuestionUpvote = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.questionId)) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  const question = await Question.setUpvote(
+    { _id: req.params.questionId },
+    req.id,
+    false
+  );
+  if (!question) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  sendSuccessResponse(res, 200, "Upvote removed", {
+    upvoteCount: question.upvoteCount,
+  });
+});
+
+
+// Questions with answers awaiting moderation, or still unanswered; oldest
+// first
+export const getQuestionsForModeration = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, view = "pending" } = req.query;
+
+  const views = {
+    pending: { "answers.status": "pending" },
+    unanswered: { answerCount: 0 },
+  };
+  if (!views[view]) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid view. Must be pending or unanswered"
+    );
+  }
+
+  const query = { status: "published", ...views[view] };
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [questions, total] = await Promise.all([
+    Question.find(query)
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("user", "fullName email")
+      .populate("answers.user", "fullName email")
+      .populate("product", "name slug image"),
+    Question.countDocuments(query),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    questions,
+    pageNumber,
+    pageSize,
+    total,
+    "Questions fetched successfully"
+  );
+});
+
+
+export const moderateAnswer = asyncHandler(async (req, res) => {
+  const { questionId, answerId } = req.params;
+  const { status } = req.body;
+
+  if (!mongoose.isValidObjectId(questionId)) {
+    return sendErrorResponse(res, 404, "Answer not found");
+  }
+
+  if (!["approved", "rejected"].includes(status)) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid status. Must be approved or rejected"
+    );
+  }
+
+  const question = await Question.findById(questionId);
+  const answer = question?.answers.id(answerId);
+  if (!answer) {
+    return sendErrorResponse(res, 404, "Answer not found");
+  }
+
+  answer.status = status;
+  answer.moderatedBy = req.id;
+  answer.moderatedAt = new Date();
+  await question.save();
+
+  sendSuccessResponse(res, 200, `Answer ${status}`, { question });
+});
+
+
+export const removeQuestion = asyncHandler(async (req, res) => {
+  const { questionId } = req.params;
+  const { reason } = req.body;
+
+  if (!mongoose.isValidObjectId(questionId)) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  const validation = validateRequiredFields(req.body, ["reason"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    return sendErrorResponse(res, 404, "Question not found");
+  }
+
+  question.status = "removed";
+  question.moderatedBy = req.id;
+  question.moderatedAt = new Date();
+  question.moderationNote = sanitizeInput(reason);
+  await question.save();
+
+  sendSuccessResponse(res, 200, "Question removed", { question });
+});
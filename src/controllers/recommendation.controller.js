@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+import ProductRecommendation from "../models/productRecommendation.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+} from "../utils/api.utils.js";
+import { runRecommendationRefresh } from "../utils/recommendations.utils.js";
+import { applyActivePriceRules } from "../utils/pricing.utils.js";
+
+// Includes the fields price rules match on
+const RECOMMENDED_PRODUCT_FIELDS =
+  "name slug price oldPrice image ratings stock isAvailable isArchived category subCategory tags categoryPath";
+
+const MAX_BOUGHT_TOGETHER = 4;
+
+
+export const getProductRecommendations = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { limit = 8 } = req.query;
+  const maxResults = Math.min(Math.max(parseInt(limit) || 8, 1), 12);
+
+  if (!mongoose.isValidObjectId(id)) {
+    return sendErrorResponse(res, 404, "Product not found");
+  }
+
+  const recommendation = await ProductRecommendation.findOne({
+    product: id,
+  }).populate("items.product", RECOMMENDED_PRODUCT_FIELDS);
+
+  // Not computed yet (e.g. a new product): fall back to its best-rated
+  // category neighbours
+  if (!recommendation) {
+    const product = await Product.findById(id).select("category");
+    if (!product) {
+      return sendErrorResponse(res, 404, "Product not found");
+    }
+
+    const products = await Product.find({
+      ...Product.listedFilter(),
+      _id: { $ne: product._id },
+      category: product.category,
+    })
+      .sort({ "ratings.average": -1, createdAt: -1 })
+      .limit(maxResults)
+      .select(RECOMMENDED_PRODUCT_FIELDS);
+    await applyActivePriceRules(products);
+
+    return sendSuccessResponse(
+      res,
+      200,
+      "Recommendations fetched successfully",
+      {
+        recommendations: products,
+        frequentlyBoughtTogether: [],
+        computedAt: null,
+      }
+    );
+  }
+
+  // Skip products that became unavailable since the last refresh
+  const items = recommendation.items.filter(
+    (item) =>
+      item.product && item.product.isAvailable && !item.product.isArchived
+  );
+  await applyActivePriceRules(items.map((item) => item.product));
+
+  sendSuccessResponse(res, 200, "Recommendations fetched successfully", {
+    recommendations: items.slice(0, maxResults).map((item) => item.product),
+    frequentlyBoughtTogether: items
+      .filter((item) => item.coPurchases > 0)
+      .sort((a, b) => b.coPurchases - a.coPurchases)
+      .slice(0, MAX_BOUGHT_TOGETHER)
+      .map((item) => item.product),
+    computedAt: recommendation.computedAt,
+  });
+});
+
+
+// Rebuild now instead of waiting for the schedule, e.g. after an import
+export const refreshProductRecommendations = asyncHandler(async (req, res) => {
+  const result = await runRecommendationRefresh();
+
+  sendSuccessResponse(res, 200, "Recommendations refreshed", result);
+});
@@ -0,0 +1,416 @@
+import mongoose from "mongoose";
+import Review from "../models/review.model.js";
+import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+  sendPaginatedResponse,
+  sanitizeInput,
+} from "../utils/api.utils.js";
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: 1 },
+  oldest: { createdAt: 1, _id: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1, _id: 1 },
+  rating_desc: { rating: -1, createdAt: -1, _id: 1 },
+  rating_asc: { rating: 1, createdAt: -1, _id: 1 },
+};
+
+const REVIEW_AUTHOR_FIELDS = "fullName avatar";
+
+// JSON bodies send booleans, form bodies send "true"/"false"
+const parseBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (value === "true" || value === "false") return value === "true";
+  return null;
+};
+
+const hasDeliveredOrder = (userId, productId) =>
+  Order.exists({
+    user: userId,
+    orderStatus: "delivered",
+    "items.product": productId,
+  });
+
+
+export const getProductReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "newest",
+    rating = "",
+    verified = "",
+  } = req.query;
+
+  const sort = REVIEW_SORTS[sortBy];
+  if (!sort) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Invalid sortBy. Must be one of: ${Object.keys(REVIEW_SORTS).join(", ")}`
+    );
+  }
+
+  if (!mongoose.isValidObjectId(id) || !(await Product.exists({ _id: id }))) {
+    return sendErrorResponse(res, 404, "Product not found");
+  }
+
+  const query = { product: id, status: "approved" };
+  if (rating) query.rating = parseInt(rating);
+  if (verified === "true") query.isVerifiedPurchase = true;
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+  const [reviews, total, summary] = await Promise.all([
+    Review.find(query)
+      .sort(sort)
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select("-moderatedBy -moderationNote")
+      .populate("user", REVIEW_AUTHOR_FIELDS),
+    Review.countDocuments(query),
+    Review.getRatingSummary(id),
+  ]);
+
+  sendSuccessResponse(res, 200, "Reviews fetched successfully", {
+    reviews,
+    summary,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalItems: total,
+      itemsPerPage: pageSize,
+      hasNextPage: pageNumber * pageSize < total,
+      hasPrevPage: pageNumber > 1,
+    },
+  });
+});
+
+
+export const addProductReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, comment } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["rating"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  // Validate rating
+  if (rating < 1 || rating > 5) {
+    return sendErrorResponse(res, 400, "Rating must be between 1 and 5");
+  }
+
+  // Archived products no longer take new reviews
+  const product = mongoose.isValidObjectId(id)
+    ? await Product.findById(id)
+    : null;
+  if (!product || product.isArchived) {
+    return sendErrorResponse(res, 404, "Product not found");
+  }
+
+  // Check if user already reviewed this product
+  const existingReview = await Review.exists({ product: id, user: req.id });
+  if (existingReview) {
+    return sendErrorResponse(
+      res,
+      400,
+      "You have already reviewed this product. Edit your review instead",
+      { reviewId: existingReview._id }
+    );
+  }
+
+  // Reviews count towards ratings once a moderator approves them
+  let review;
+  try {
+    review = await Review.create({
+      product: id,
+      user: req.id,
+      rating: parseInt(rating),
+      comment: sanitizeInput(comment || ""),
+      isVerifiedPurchase: Boolean(await hasDeliveredOrder(req.id, id)),
+    });
+  } catch (error) {
+    // A parallel request created the review first
+    if (error.code === 11000) {
+      return sendErrorResponse(
+        res,
+        400,
+        "You have already reviewed this product. Edit your review instead"
+      );
+    }
+    throw error;
+  }
+
+  sendSuccessResponse(res, 201, "Review submitted and awaiting moderation", {
+    review,
+  });
+});
+
+
+// Authors can change their rating and comment until staff remove the review
+export const updateReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { rating, comment } = req.body;
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  if (rating === undefined && comment === undefined) {
+    return sendErrorResponse(res, 400, "Nothing to update");
+  }
+  if (rating !== undefined && (rating < 1 || rating > 5)) {
+    return sendErrorResponse(res, 400, "Rating must be between 1 and 5");
+  }
+
+  const review = await Review.findOne({
+    _id: reviewId,
+    user: req.id,
+  }).select("+editHistory");
+  if (!review) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+  if (review.status === "removed") {
+    return sendErrorResponse(
+      res,
+      403,
+      "This review was removed by a moderator and cannot be edited"
+    );
+  }
+
+  review.applyEdit({
+    ...(rating !== undefined && { rating: parseInt(rating) }),
+    ...(comment !== undefined && { comment: sanitizeInput(comment) }),
+  });
+  await review.save();
+
+  await Product.refreshRatings(review.product);
+
+  sendSuccessResponse(
+    res,
+    200,
+    review.status === "pending"
+      ? "Review updated and awaiting moderation"
+      : "Review updated successfully",
+    { review }
+  );
+});
+
+
+export const deleteReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  // Removed reviews stay as the moderation record
+  const review = await Review.findOneAndDelete({
+    _id: reviewId,
+    user: req.id,
+    status: { $ne: "removed" },
+  });
+  if (!review) {
+    if (await Review.exists({ _id: reviewId, user: req.id })) {
+      return sendErrorResponse(
+        res,
+        403,
+        "This review was removed by a moderator and cannot be deleted"
+      );
+    }
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  await Product.refreshRatings(review.product);
+
+  sendSuccessResponse(res, 200, "Review deleted successfully");
+});
+
+
+export const voteReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const helpful = parseBoolean(req.body.helpful);
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  if (helpful === null) {
+    return sendErrorResponse(res, 400, "helpful must be true or false");
+  }
+
+  const review = await Review.findOne({
+    _id: reviewId,
+    status: "approved",
+  });
+  if (!review) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  if (review.user?.toString() === req.id) {
+    return sendErrorResponse(res, 400, "You cannot vote on your own review");
+  }
+
+  await Review.setVote(review._id, req.id, helpful);
+  const counts = await Review.findById(review._id).select(
+    "helpfulCount notHelpfulCount"
+  );
+
+  sendSuccessResponse(res, 200, "Vote recorded", {
+    helpfulCount: counts.helpfulCount,
+    notHelpfulCount: counts.notHelpfulCount,
+  });
+});
+
+
+export const removeReviewVote = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  if (!(await Review.exists({ _id: reviewId }))) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  await Review.removeVote({ _id: reviewId }, req.id);
+  const counts = await Review.findById(reviewId).select(
+    "helpfulCount notHelpfulCount"
+  );
+
+  sendSuccessResponse(res, 200, "Vote removed", {
+    helpfulCount: counts.helpfulCount,
+    notHelpfulCount: counts.notHelpfulCount,
+  });
+});
+
+
+// Reviews waiting longest come first
+export const getReviewsForModeration = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = "pending", product = "" } = req.query;
+
+  if (!["pending", "approved", "rejected", "removed"].includes(status)) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid status. Must be pending, approved, rejected or removed"
+    );
+  }
+
+  const query = { status };
+  if (product) {
+    if (!mongoose.isValidObjectId(product)) {
+      return sendErrorResponse(res, 400, "Invalid product id");
+    }
+    query.product = product;
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select("+editHistory")
+      .populate("user", "fullName email")
+      .populate("product", "name slug image")
+      .populate("moderatedBy", "fullName"),
+    Review.countDocuments(query),
+  ]);
+
+  sendPaginatedResponse(
+    res,
+    reviews,
+    pageNumber,
+    pageSize,
+    total,
+    "Reviews fetched successfully"
+  );
+});
+
+
+export const moderateReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { status, note } = req.body;
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  if (!["approved", "rejected"].includes(status)) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Invalid status. Must be approved or rejected"
+    );
+  }
+
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  const wasApproved = review.status === "approved";
+
+  review.status = status;
+  review.moderatedBy = req.id;
+  review.moderatedAt = new Date();
+  if (note !== undefined) review.moderationNote = sanitizeInput(note);
+  await review.save();
+
+  // Ratings only count approved reviews
+  if (wasApproved !== (status === "approved")) {
+    await Product.refreshRatings(review.product);
+  }
+
+  sendSuccessResponse(res, 200, `Review ${status}`, { review });
+});
+
+
+// Staff take down abusive reviews; the review is kept with the reason
+export const removeReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { reason } = req.body;
+
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  const validation = validateRequiredFields(req.body, ["reason"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    return sendErrorResponse(res, 404, "Review not found");
+  }
+
+  review.status = "removed";
+  review.moderatedBy = req.id;
+  review.moderatedAt = new Date();
+  review.moderationNote = sanitizeInput(reason);
+  await review.save();
+
+  await Product.refreshRatings(review.product);
+
+  sendSuccessResponse(res, 200, "Review removed", { review });
+});
@@ -0,0 +1,66 @@
+import Session from "../models/session.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+} from "../utils/api.utils.js";
+
+
+export const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.id,
+    impersonator: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .select("device userAgent ip lastSeenAt lastSeenIp createdAt expiresAt");
+
+  sendSuccessResponse(res, 200, "Sessions fetched successfully", {
+    sessions: sessions.map((session) => ({
+      ...session.toJSON(),
+      isCurrent: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await Session.findOne({ _id: id, user: req.id });
+  if (!session || session.revokedAt) {
+    return sendErrorResponse(res, 404, "Session not found");
+  }
+
+  session.revoke("user_revoked");
+  await session.save();
+
+  // Revoking the current session is the same as logging out
+  if (session._id.toString() === req.sessionId) {
+    res.clearCookie("token");
+    res.clearCookie("refreshToken");
+  }
+
+  sendSuccessResponse(res, 200, "Session revoked successfully");
+});
+
+
+export const revokeAllSessions = asyncHandler(async (req, res) => {
+  const { includeCurrent = false } = req.body;
+
+  const result = await Session.revokeAllForUser(
+    req.id,
+    "user_revoked",
+    includeCurrent ? null : req.sessionId
+  );
+
+  if (includeCurrent) {
+    res.clearCookie("token");
+    res.clearCookie("refreshToken");
+  }
+
+  sendSuccessResponse(res, 200, "Sessions revoked successfully", {
+    revokedCount: result.modifiedCount,
+  });
+});
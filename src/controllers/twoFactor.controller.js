@@ -0,0 +1,188 @@
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import {
+  sendSuccessResponse,
+  sendErrorResponse,
+  asyncHandler,
+  validateRequiredFields,
+} from "../utils/api.utils.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+} from "../utils/totp.utils.js";
+
+const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.id).select("+twoFactor.recoveryCodes");
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  sendSuccessResponse(res, 200, "Two-factor status fetched successfully", {
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes?.length || 0,
+    required: user.role === "admin" && process.env.REQUIRE_ADMIN_2FA === "true",
+  });
+});
+
+
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.id);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  if (user.twoFactor.enabled) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Two-factor authentication is already enabled"
+    );
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TOTP_ISSUER || "Garden",
+  });
+
+  // The client renders otpauthUrl as a QR code; secret is for manual entry
+  sendSuccessResponse(res, 200, "Scan the QR code with your authenticator", {
+    otpauthUrl,
+    secret,
+  });
+});
+
+
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["code"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const user = await User.findById(req.id).select(
+    `${TWO_FACTOR_SECRET_FIELDS} +twoFactor.pendingSecret`
+  );
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  if (user.twoFactor.enabled) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Two-factor authentication is already enabled"
+    );
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return sendErrorResponse(res, 400, "Start two-factor setup first");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return sendErrorResponse(res, 400, "Invalid two-factor code");
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  // The code just proved possession, so this session counts as verified
+  if (req.sessionId) {
+    await Session.updateOne(
+      { _id: req.sessionId },
+      { twoFactorVerified: true }
+    );
+  }
+
+  // Recovery codes are only ever shown here
+  sendSuccessResponse(res, 200, "Two-factor authentication enabled", {
+    recoveryCodes,
+  });
+});
+
+
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.id).select(
+    `+password ${TWO_FACTOR_SECRET_FIELDS}`
+  );
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  if (!user.twoFactor.enabled) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Two-factor authentication is not enabled"
+    );
+  }
+
+  // Accounts without a password (identity provider sign-in) rely on the code
+  if (user.password && !(await user.comparePassword(password))) {
+    return sendErrorResponse(res, 400, "Password is incorrect");
+  }
+
+  if (!user.verifyTwoFactorCode({ code, recoveryCode })) {
+    return sendErrorResponse(res, 400, "Invalid two-factor code");
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccessResponse(res, 200, "Two-factor authentication disabled");
+});
+
+
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["code"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  const user = await User.findById(req.id).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  if (!user.verifyTwoFactorCode({ code })) {
+    return sendErrorResponse(res, 400, "Invalid two-factor code");
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccessResponse(res, 200, "Recovery codes regenerated", {
+    recoveryCodes,
+  });
+});
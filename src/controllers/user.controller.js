@@ -1,15 +1,37 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
+import Product from "../models/product.model.js";
+import Session from "../models/session.model.js";
 import {
   sendSuccessResponse,
   sendErrorResponse,
   asyncHandler,
   validateRequiredFields,
   sanitizeInput,
+  sendPaginatedResponse,
 } from "../utils/api.utils.js";
 import {
   uploadToCloudinary,
   deleteFromCloudinary,
 } from "../utils/cloudinary.utils.js";
+import { sendMail, buildFrontendUrl } from "../utils/mail.utils.js";
+import { hashToken } from "../utils/token.utils.js";
+import { applyActivePriceRules } from "../utils/pricing.utils.js";
+import {
+  getLoginRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+} from "../utils/loginThrottle.utils.js";
+import {
+  isOidcEnabled,
+  getOidcSettings,
+  createPkcePair,
+  createRandomState,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+} from "../utils/oidc.utils.js";
 
 // Set cookie options
 const cookieOptions = {
@@ -19,25 +41,147 @@ const cookieOptions = {
   maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
 };
 
-// Generate tokens and set cookies
-const generateTokensAndSetCookies = async (user, res) => {
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
+const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// How long a rotated-out refresh token keeps working, for concurrent refreshes
+const REFRESH_TOKEN_GRACE_MS = 30 * 1000; // 30 seconds
+
+const TWO_FACTOR_LOGIN_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+
+// After single sign-on the second-factor token is handed over in a cookie,
+// keeping it out of the redirect URL (history, logs, Referer)
+const TWO_FACTOR_COOKIE = "twoFactorToken";
+
+// OIDC state, nonce and PKCE verifier travel in a signed cookie between the
+// redirect to the identity provider and its callback
+const OIDC_FLOW_COOKIE = "oidc_flow";
+const OIDC_FLOW_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+
+// Generate tokens and set cookies, starting a new session unless one is given
+const generateTokensAndSetCookies = async (
+  user,
+  req,
+  res,
+  { session = null, twoFactorVerified = false } = {}
+) => {
+  if (!session) {
+    session = new Session({
+      user: user._id,
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+      twoFactorVerified,
+    });
+  }
 
-  // Save refresh token to database
-  user.refreshToken = refreshToken;
-  await user.save();
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = user.generateRefreshToken(session._id);
+
+  // Save the refresh token hash on the session, remembering the one it
+  // replaces
+  if (session.refreshTokenHash) {
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.rotatedAt = new Date();
+  }
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_MAX_AGE);
+  session.lastSeenAt = new Date();
+  session.lastSeenIp = req.ip;
+  await session.save();
 
   // Set cookies
   res.cookie("token", accessToken, cookieOptions);
   res.cookie("refreshToken", refreshToken, {
     ...cookieOptions,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days for refresh token
+    maxAge: REFRESH_TOKEN_MAX_AGE,
   });
 
   return { accessToken, refreshToken };
 };
 
+// Same response for every lockout, so it never reveals whether an account exists
+const sendLoginLockedResponse = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return sendErrorResponse(
+    res,
+    429,
+    "Too many failed login attempts. Please try again later"
+  );
+};
+
+// Clear auth cookies
+const clearAuthCookies = (res) => {
+  res.clearCookie("token");
+  res.clearCookie("refreshToken");
+};
+
+// Issue the short-lived token that lets a 2FA user finish logging in
+const createTwoFactorLoginToken = (user) =>
+  jwt.sign({ userId: user._id, purpose: "2fa-login" }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_LOGIN_MAX_AGE / 1000,
+  });
+
+// Only same-site paths may be used as the post-login destination
+const getSafeReturnTo = (returnTo) =>
+  typeof returnTo === "string" &&
+  returnTo.startsWith("/") &&
+  !returnTo.startsWith("//")
+    ? returnTo
+    : "/";
+
+// Find the user for an OIDC identity, linking or creating an account if needed
+const findOrCreateOidcUser = async (claims) => {
+  const { issuer } = getOidcSettings();
+  const identity = { issuer, subject: claims.sub };
+
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: identity },
+  });
+  if (linkedUser) return linkedUser;
+
+  if (!claims.email) {
+    throw new Error("Identity provider did not share an email address");
+  }
+  const email = claims.email.toLowerCase();
+  const emailVerified = claims.email_verified === true;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    // Only an address the provider has verified proves it's the same person
+    if (!emailVerified) {
+      throw new Error("Identity provider email is not verified");
+    }
+    existingUser.identities.push({ ...identity, email });
+    if (!existingUser.isEmailVerified) {
+      existingUser.isEmailVerified = true;
+      existingUser.emailVerifiedAt = new Date();
+    }
+    await existingUser.save({ validateBeforeSave: false });
+    return existingUser;
+  }
+
+  return User.create({
+    fullName: sanitizeInput(claims.name || email.split("@")[0]),
+    email,
+    identities: [{ ...identity, email }],
+    isEmailVerified: emailVerified,
+    ...(emailVerified && { emailVerifiedAt: new Date() }),
+  });
+};
+
+// Email a verification link for the user's address
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = buildFrontendUrl(`/verify-email/${verificationToken}`);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Garden email address",
+    text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening the link below.\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
 
 export const register = asyncHandler(async (req, res) => {
   const { fullName, email, password, phone } = req.body;
@@ -74,7 +218,14 @@ export const register = asyncHandler(async (req, res) => {
   const user = await User.create(sanitizedData);
 
   // Generate tokens and set cookies
-  await generateTokensAndSetCookies(user, res);
+  await generateTokensAndSetCookies(user, req, res);
+
+  // Registration still succeeds if the email fails; the user can resend it
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Verification email error:", error);
+  }
 
   // Remove password from response
   const userResponse = user.toJSON();
@@ -98,11 +249,23 @@ export const login = asyncHandler(async (req, res) => {
     );
   }
 
+  const normalizedEmail = email.toLowerCase();
+
+  // Refuse while the account or the client IP is locked out
+  const retryAfter = await getLoginRetryAfter({
+    email: normalizedEmail,
+    ip: req.ip,
+  });
+  if (retryAfter > 0) {
+    return sendLoginLockedResponse(res, retryAfter);
+  }
+
   // Find user and include password for comparison
-  const user = await User.findOne({ email: email.toLowerCase() }).select(
+  const user = await User.findOne({ email: normalizedEmail }).select(
     "+password"
   );
   if (!user) {
+    await recordFailedLogin({ email: normalizedEmail, ip: req.ip });
     return sendErrorResponse(res, 401, "Invalid email or password");
   }
 
@@ -118,15 +281,32 @@ export const login = asyncHandler(async (req, res) => {
   // Compare password
   const isPasswordCorrect = await user.comparePassword(password);
   if (!isPasswordCorrect) {
+    await recordFailedLogin({
+      email: normalizedEmail,
+      ip: req.ip,
+      userId: user._id,
+    });
     return sendErrorResponse(res, 401, "Invalid email or password");
   }
 
+  // With 2FA enabled the password only earns a short-lived challenge token
+  if (user.twoFactor?.enabled) {
+    const twoFactorToken = createTwoFactorLoginToken(user);
+
+    return sendSuccessResponse(res, 200, "Two-factor code required", {
+      twoFactorRequired: true,
+      twoFactorToken,
+    });
+  }
+
+  await clearFailedLogins({ email: normalizedEmail });
+
   // Update last login
   user.lastLogin = new Date();
   await user.save();
 
   // Generate tokens and set cookies
-  await generateTokensAndSetCookies(user, res);
+  await generateTokensAndSetCookies(user, req, res);
 
   // Remove password from response
   const userResponse = user.toJSON();
@@ -137,28 +317,285 @@ export const login = asyncHandler(async (req, res) => {
 });
 
 
+export const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const twoFactorToken =
+    req.body.twoFactorToken || req.cookies[TWO_FACTOR_COOKIE];
+
+  // Validate required fields
+  if (!twoFactorToken) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Missing required fields: twoFactorToken"
+    );
+  }
+
+  if (!code && !recoveryCode) {
+    return sendErrorResponse(
+      res,
+      400,
+      "A two-factor code or recovery code is required"
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return sendErrorResponse(
+      res,
+      401,
+      "Two-factor login has expired. Please log in again"
+    );
+  }
+
+  if (decoded.purpose !== "2fa-login") {
+    return sendErrorResponse(res, 401, "Invalid two-factor token");
+  }
+
+  const user = await User.findById(decoded.userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+  if (!user || !user.isActive) {
+    return sendErrorResponse(res, 401, "Invalid two-factor token");
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const retryAfter = await getLoginRetryAfter({
+    email: user.email,
+    ip: req.ip,
+  });
+  if (retryAfter > 0) {
+    return sendLoginLockedResponse(res, retryAfter);
+  }
+
+  if (!user.verifyTwoFactorCode({ code, recoveryCode })) {
+    await recordFailedLogin({
+      email: user.email,
+      ip: req.ip,
+      userId: user._id,
+    });
+    return sendErrorResponse(res, 401, "Invalid two-factor code");
+  }
+
+  await clearFailedLogins({ email: user.email });
+  res.clearCookie(TWO_FACTOR_COOKIE);
+
+  // Update last login (also persists the used code)
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate tokens and set cookies
+  await generateTokensAndSetCookies(user, req, res, {
+    twoFactorVerified: true,
+  });
+
+  sendSuccessResponse(res, 200, "Login successful", {
+    user: user.toJSON(),
+    ...(recoveryCode && {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    }),
+  });
+});
+
+
+export const oidcLogin = asyncHandler(async (req, res) => {
+  if (!isOidcEnabled()) {
+    return sendErrorResponse(res, 404, "Single sign-on is not configured");
+  }
+
+  const state = createRandomState();
+  const nonce = createRandomState();
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  const flowToken = jwt.sign(
+    {
+      state,
+      nonce,
+      codeVerifier,
+      returnTo: getSafeReturnTo(req.query.returnTo),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: OIDC_FLOW_MAX_AGE / 1000 }
+  );
+
+  // "lax" so the cookie comes back on the provider's top-level redirect
+  res.cookie(OIDC_FLOW_COOKIE, flowToken, {
+    ...cookieOptions,
+    sameSite: "lax",
+    maxAge: OIDC_FLOW_MAX_AGE,
+  });
+
+  const authorizationUrl = await buildAuthorizationUrl({
+    state,
+    nonce,
+    codeChallenge,
+    loginHint: req.query.loginHint,
+  });
+
+  res.redirect(authorizationUrl);
+});
+
+
+export const oidcCallback = asyncHandler(async (req, res) => {
+  const { code, state, error } = req.query;
+  const flowToken = req.cookies[OIDC_FLOW_COOKIE];
+  res.clearCookie(OIDC_FLOW_COOKIE);
+
+  // The browser lands here, so failures go back to the frontend login page
+  const redirectToLogin = (reason) =>
+    res.redirect(buildFrontendUrl(`/login?error=${reason}`));
+
+  if (!isOidcEnabled()) {
+    return sendErrorResponse(res, 404, "Single sign-on is not configured");
+  }
+  if (error) {
+    return redirectToLogin("oidc_denied");
+  }
+
+  let flow;
+  try {
+    flow = jwt.verify(flowToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return redirectToLogin("oidc_expired");
+  }
+  if (!code || !state || state !== flow.state) {
+    return redirectToLogin("oidc_failed");
+  }
+
+  let user;
+  try {
+    const tokens = await exchangeAuthorizationCode({
+      code,
+      codeVerifier: flow.codeVerifier,
+    });
+    const claims = await verifyIdToken(tokens.id_token, flow.nonce);
+    user = await findOrCreateOidcUser(claims);
+  } catch (err) {
+    console.error("OIDC login error:", err);
+    return redirectToLogin("oidc_failed");
+  }
+
+  if (!user.isActive) {
+    return redirectToLogin("account_deactivated");
+  }
+
+  // The provider replaces the password step, not the second factor
+  if (user.twoFactor?.enabled) {
+    res.cookie(TWO_FACTOR_COOKIE, createTwoFactorLoginToken(user), {
+      ...cookieOptions,
+      maxAge: TWO_FACTOR_LOGIN_MAX_AGE,
+    });
+    return res.redirect(
+      buildFrontendUrl(
+        `/login/2fa?returnTo=${encodeURIComponent(flow.returnTo)}`
+      )
+    );
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Generate tokens and set cookies
+  await generateTokensAndSetCookies(user, req, res);
+
+  res.redirect(buildFrontendUrl(flow.returnTo));
+});
+
 export const logout = asyncHandler(async (req, res) => {
-  // Clear refresh token from database
-  await User.findByIdAndUpdate(req.id, { refreshToken: null });
+  // End the current session
+  if (req.sessionId) {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout" }
+    );
+  }
 
   // Clear cookies
-  res.clearCookie("token");
-  res.clearCookie("refreshToken");
+  clearAuthCookies(res);
 
   sendSuccessResponse(res, 200, "Logout successful");
 });
 
 
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const incomingRefreshToken = req.cookies.refreshToken;
+  if (!incomingRefreshToken) {
+    return sendErrorResponse(res, 401, "Refresh token is missing");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(
+      incomingRefreshToken,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    );
+  } catch (error) {
+    clearAuthCookies(res);
+    return sendErrorResponse(res, 401, "Invalid or expired refresh token");
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId),
+    Session.findById(decoded.sid).select(
+      "+refreshTokenHash +previousRefreshTokenHash"
+    ),
+  ]);
+  if (
+    !user ||
+    !user.isActive ||
+    !session ||
+    session.user.toString() !== user._id.toString()
+  ) {
+    clearAuthCookies(res);
+    return sendErrorResponse(res, 401, "Invalid or expired refresh token");
+  }
+
+  if (session.revokedAt) {
+    clearAuthCookies(res);
+    return sendErrorResponse(res, 401, "Session has been revoked");
+  }
+
+  // A validly signed token that is no longer the session's current one has
+  // already been rotated out, so someone is replaying it: revoke every
+  // session. The token replaced moments ago is let through, since another
+  // tab may have refreshed with it at the same time.
+  const incomingHash = hashToken(incomingRefreshToken);
+  if (
+    session.refreshTokenHash !== incomingHash &&
+    !session.isRecentlyRotated(incomingHash, REFRESH_TOKEN_GRACE_MS)
+  ) {
+    await Session.revokeAllForUser(user._id, "refresh_token_reuse");
+
+    clearAuthCookies(res);
+    return sendErrorResponse(
+      res,
+      401,
+      "Refresh token reuse detected. All sessions have been revoked"
+    );
+  }
+
+  // Rotate: issue a new token pair and replace the session's refresh token
+  await generateTokensAndSetCookies(user, req, res, { session });
+
+  sendSuccessResponse(res, 200, "Token refreshed successfully");
+});
+
+
 export const getUserProfile = asyncHandler(async (req, res) => {
   const user = await User.findById(req.id).populate(
     "wishlist",
-    "name price image"
+    "name price oldPrice image variants tags categoryPath"
   );
 
   if (!user) {
     return sendErrorResponse(res, 404, "User not found");
   }
 
+  await applyActivePriceRules(user.wishlist);
+
   sendSuccessResponse(res, 200, "Profile fetched successfully", {
     user,
   });
@@ -169,6 +606,13 @@ export const getMyInfo = asyncHandler(async (req, res) => {
 
   sendSuccessResponse(res, 200, "User info fetched successfully", {
     user,
+    ...(req.impersonator && {
+      impersonatedBy: {
+        id: req.impersonator._id,
+        fullName: req.impersonator.fullName,
+        email: req.impersonator.email,
+      },
+    }),
   });
 });
 
@@ -244,7 +688,7 @@ export const getAllUsers = asyncHandler(async (req, res) => {
 
   // Get users with pagination
   const users = await User.find(query)
-    .select("-refreshToken")
+    .select("-refreshToken -tokenVersion")
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -279,6 +723,14 @@ export const toggleWishlist = asyncHandler(async (req, res) => {
 
     sendSuccessResponse(res, 200, "Product removed from wishlist");
   } else {
+    // Archived products can be removed from wishlists but not added
+    const isListed =
+      mongoose.isValidObjectId(productId) &&
+      (await Product.exists({ _id: productId, isArchived: { $ne: true } }));
+    if (!isListed) {
+      return sendErrorResponse(res, 404, "Product not found");
+    }
+
     // Add to wishlist
     user.wishlist.push(productId);
     await user.save();
@@ -291,13 +743,17 @@ export const toggleWishlist = asyncHandler(async (req, res) => {
 export const getWishlist = asyncHandler(async (req, res) => {
   const user = await User.findById(req.id).populate({
     path: "wishlist",
-    select: "name price oldPrice image category stock isAvailable ratings",
+    select:
+      "name price oldPrice image category stock isAvailable isArchived ratings variants tags categoryPath",
   });
 
   if (!user) {
     return sendErrorResponse(res, 404, "User not found");
   }
 
+  // Show sale prices, as product pages and the cart do
+  await applyActivePriceRules(user.wishlist);
+
   sendSuccessResponse(res, 200, "Wishlist fetched successfully", {
     wishlist: user.wishlist,
   });
@@ -307,11 +763,21 @@ export const getWishlist = asyncHandler(async (req, res) => {
 export const changePassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
+  // Get user with password
+  const user = await User.findById(req.id).select("+password");
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  // Accounts created through an identity provider have no password yet, so
+  // they can set one without a current password
+  const hasPassword = Boolean(user.password);
+
   // Validate required fields
-  const validation = validateRequiredFields(req.body, [
-    "currentPassword",
-    "newPassword",
-  ]);
+  const validation = validateRequiredFields(
+    req.body,
+    hasPassword ? ["currentPassword", "newPassword"] : ["newPassword"]
+  );
   if (!validation.isValid) {
     return sendErrorResponse(
       res,
@@ -320,16 +786,14 @@ export const changePassword = asyncHandler(async (req, res) => {
     );
   }
 
-  // Get user with password
-  const user = await User.findById(req.id).select("+password");
-  if (!user) {
-    return sendErrorResponse(res, 404, "User not found");
-  }
-
   // Check current password
-  const isCurrentPasswordCorrect = await user.comparePassword(currentPassword);
-  if (!isCurrentPasswordCorrect) {
-    return sendErrorResponse(res, 400, "Current password is incorrect");
+  if (hasPassword) {
+    const isCurrentPasswordCorrect = await user.comparePassword(
+      currentPassword
+    );
+    if (!isCurrentPasswordCorrect) {
+      return sendErrorResponse(res, 400, "Current password is incorrect");
+    }
   }
 
   // Validate new password
@@ -345,5 +809,157 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
-  sendSuccessResponse(res, 200, "Password changed successfully");
+  sendSuccessResponse(
+    res,
+    200,
+    hasPassword ? "Password changed successfully" : "Password set successfully"
+  );
+});
+
+
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["email"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  // Same response whether or not the account exists
+  const genericMessage =
+    "If an account exists for this email, a password reset link has been sent";
+
+  const user = await User.findOne({
+    email: sanitizeInput(email).toLowerCase(),
+  });
+  if (!user || !user.isActive) {
+    return sendSuccessResponse(res, 200, genericMessage);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = buildFrontendUrl(`/reset-password/${resetToken}`);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your Garden password",
+      text: `Hi ${user.fullName},\n\nUse the link below to reset your password. It expires soon and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  } catch (error) {
+    // Answer as if it was sent; an error here would reveal the account exists
+    console.error("Password reset email error:", error);
+
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  sendSuccessResponse(res, 200, genericMessage);
+});
+
+
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  // Validate required fields
+  const validation = validateRequiredFields(req.body, ["password"]);
+  if (!validation.isValid) {
+    return sendErrorResponse(
+      res,
+      400,
+      `Missing required fields: ${validation.missingFields.join(", ")}`
+    );
+  }
+
+  if (password.length < 6) {
+    return sendErrorResponse(
+      res,
+      400,
+      "New password must be at least 6 characters long"
+    );
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+  if (!user) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Password reset link is invalid or has expired"
+    );
+  }
+
+  // Update password and consume the token
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+
+  await user.save();
+
+  // Log out everywhere, including whoever may hold the old password
+  await Session.revokeAllForUser(user._id, "password_reset");
+
+  clearAuthCookies(res);
+
+  sendSuccessResponse(
+    res,
+    200,
+    "Password reset successfully. Please log in with your new password"
+  );
+});
+
+
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+  if (!user) {
+    return sendErrorResponse(
+      res,
+      400,
+      "Verification link is invalid or has expired"
+    );
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  sendSuccessResponse(res, 200, "Email verified successfully");
+});
+
+
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.id);
+  if (!user) {
+    return sendErrorResponse(res, 404, "User not found");
+  }
+
+  if (user.isEmailVerified) {
+    return sendErrorResponse(res, 400, "Email is already verified");
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Verification email error:", error);
+    return sendErrorResponse(res, 500, "Failed to send verification email");
+  }
+
+  sendSuccessResponse(res, 200, "Verification email sent");
 });
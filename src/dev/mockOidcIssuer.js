@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+// Local OpenID Connect issuer for trying the OIDC login without a real
+// provider. Every authorization request is approved straight away for the
+// login_hint (or MOCK_OIDC_EMAIL) user. Run with `npm run mock-oidc`, then
+// set OIDC_ISSUER=http://localhost:4000 and OIDC_CLIENT_ID to any value.
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "gardener@example.com";
+const CODE_TTL = 60 * 1000; // 1 minute
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString("hex");
+
+// Pending authorization codes, single use
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" }],
+  });
+});
+
+app.get("/authorize", (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint,
+  } = req.query;
+
+  if (!clientId || !redirectUri || !codeChallenge) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+  if (codeChallengeMethod !== "S256") {
+    return res.status(400).json({
+      error: "invalid_request",
+      error_description: "Only S256 code challenges are supported",
+    });
+  }
+
+  const email = (loginHint || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    email,
+    expiresAt: Date.now() + CODE_TTL,
+  });
+
+  const callbackUrl = new URL(redirectUri);
+  callbackUrl.searchParams.set("code", code);
+  if (state) callbackUrl.searchParams.set("state", state);
+  res.redirect(callbackUrl.toString());
+});
+
+app.post("/token", (req, res) => {
+  const {
+    code,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  } = req.body;
+
+  const grant = codes.get(code);
+  codes.delete(code);
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.clientId !== clientId ||
+    grant.redirectUri !== redirectUri
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier || "")
+    .digest("base64url");
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const subject = crypto
+    .createHash("sha256")
+    .update(grant.email)
+    .digest("hex")
+    .slice(0, 24);
+
+  const idToken = jwt.sign(
+    {
+      email: grant.email,
+      email_verified: true,
+      name: grant.email.split("@")[0],
+      ...(grant.nonce && { nonce: grant.nonce }),
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: ISSUER,
+      audience: clientId,
+      subject,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER}`);
+});
@@ -3,6 +3,8 @@ import cors from "cors";
 import cookieParser from "cookie-parser";
 import dotenv from "dotenv";
 import connectDB from "./config/database.js";
+import { startRecommendationSchedule } from "./utils/recommendations.utils.js";
+import { getMailConfigError } from "./utils/mail.utils.js";
 
 // Import routes
 import userRoutes from "./routes/user.routes.js";
@@ -10,16 +12,27 @@ import productRoutes from "./routes/product.routes.js";
 import cartRoutes from "./routes/cart.routes.js";
 import orderRoutes from "./routes/order.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
+import categoryRoutes from "./routes/category.routes.js";
 
 // Load environment variables
 dotenv.config();
 
+// Development mail transports would log reset links in production
+const mailConfigError = getMailConfigError();
+if (mailConfigError) {
+  console.error(mailConfigError);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Connect to MongoDB
 connectDB();
 
+// Rebuild product recommendations periodically
+startRecommendationSchedule();
+
 // Middleware
 app.use(
   cors({
@@ -38,6 +51,7 @@ app.use("/api/v1/product", productRoutes);
 app.use("/api/v1/cart", cartRoutes);
 app.use("/api/v1/order", orderRoutes);
 app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/category", categoryRoutes);
 
 // Health check route
 app.get("/api/v1/health", (req, res) => {
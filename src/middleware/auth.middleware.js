@@ -1,10 +1,101 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import Session from "../models/session.model.js";
+import ImpersonationLog from "../models/impersonationLog.model.js";
+import { hasPermission } from "../config/roles.js";
+
+// How often a session's last-seen time is written back
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Read a JWT from "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+// Authenticate a server-to-server request by its X-API-Key header
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+  if (!apiKey) {
+    return res.status(401).json({
+      message: "Invalid API key",
+      success: false,
+    });
+  }
+
+  const path = req.originalUrl.split("?")[0];
+  if (!apiKey.allowsRoute(req.method, path)) {
+    return res.status(403).json({
+      message: "API key is not allowed to access this route",
+      success: false,
+    });
+  }
+
+  const user = await User.findById(apiKey.createdBy).select("-password");
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      message: "Invalid API key",
+      success: false,
+    });
+  }
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  );
+
+  req.id = user._id.toString();
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Check the impersonating staff member still may impersonate, and write an
+// audit entry for the request once its response is sent
+const startImpersonatedRequest = async (req, res, session) => {
+  const impersonator = await User.findById(session.impersonator).select(
+    "fullName email role isActive"
+  );
+  if (
+    !impersonator ||
+    !impersonator.isActive ||
+    !hasPermission(impersonator.role, "users:impersonate")
+  ) {
+    return false;
+  }
+
+  req.impersonator = impersonator;
+
+  res.on("finish", () => {
+    ImpersonationLog.create({
+      session: session._id,
+      impersonator: impersonator._id,
+      user: session.user,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+    }).catch((error) => {
+      console.error("Impersonation log error:", error);
+    });
+  });
+
+  return true;
+};
 
 // for logged in user
 export const isAuth = async (req, res, next) => {
   try {
-    const token = req.cookies.token;
+    const apiKey = req.headers["x-api-key"];
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
+    const token = req.cookies.token || getBearerToken(req);
     if (!token) {
       return res.status(401).json({
         message: "Unauthorized access",
@@ -12,14 +103,52 @@ export const isAuth = async (req, res, next) => {
       });
     }
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!decoded) {
+    // Refresh tokens may share the secret but are not access tokens
+    if (!decoded || decoded.tokenType === "refresh") {
       return res.status(401).json({
         message: "Invalid token",
         success: false,
       });
     }
     req.id = decoded.userId;
-    req.user = await User.findById(decoded.userId).select("-password");
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select("-password"),
+      decoded.sid ? Session.findById(decoded.sid) : null,
+    ]);
+    req.user = user;
+
+    // Reject access tokens whose session was logged out or revoked
+    if (
+      !user ||
+      !session ||
+      !session.isActive ||
+      session.user.toString() !== decoded.userId
+    ) {
+      return res.status(401).json({
+        message: "Session has been revoked",
+        success: false,
+      });
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      await Session.updateOne(
+        { _id: session._id },
+        { lastSeenAt: new Date(), lastSeenIp: req.ip }
+      );
+    }
+
+    if (
+      session.impersonator &&
+      !(await startImpersonatedRequest(req, res, session))
+    ) {
+      return res.status(401).json({
+        message: "Session has been revoked",
+        success: false,
+      });
+    }
+
+    req.sessionId = session._id.toString();
+    req.twoFactorVerified = session.twoFactorVerified;
     next();
   } catch (error) {
     console.log("Authentication error", error);
@@ -30,6 +159,37 @@ export const isAuth = async (req, res, next) => {
   }
 };
 
+// Admins must have logged in with 2FA when REQUIRE_ADMIN_2FA=true.
+// API keys are issued by admins and scoped separately.
+const checkAdminTwoFactor = (req, res) => {
+  if (
+    process.env.REQUIRE_ADMIN_2FA !== "true" ||
+    req.user.role !== "admin" ||
+    req.apiKey
+  ) {
+    return true;
+  }
+
+  if (!req.user.twoFactor?.enabled) {
+    res.status(403).json({
+      message: "Two-factor authentication must be enabled for admin access",
+      twoFactorSetupRequired: true,
+      success: false,
+    });
+    return false;
+  }
+
+  if (!req.twoFactorVerified) {
+    res.status(403).json({
+      message: "Please log in again with your two-factor code",
+      success: false,
+    });
+    return false;
+  }
+
+  return true;
+};
+
 // for admin user
 export const isAdmin = async (req, res, next) => {
   if (!req.user || req.user.role !== "admin") {
@@ -38,9 +198,31 @@ export const isAdmin = async (req, res, next) => {
       success: false,
     });
   }
+
+  if (!checkAdminTwoFactor(req, res)) return;
   next();
 };
 
+// for users whose role grants every listed permission (see config/roles.js)
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    if (
+      !req.user ||
+      !permissions.every((permission) =>
+        hasPermission(req.user.role, permission)
+      )
+    ) {
+      return res.status(403).json({
+        message: "You do not have permission to perform this action",
+        success: false,
+      });
+    }
+
+    if (!checkAdminTwoFactor(req, res)) return;
+    next();
+  };
+
 // for normal logged in user
 export const isUser = async (req, res, next) => {
   if (!req.user || req.user.role !== "user") {
@@ -51,3 +233,30 @@ export const isUser = async (req, res, next) => {
   }
   next();
 };
+
+// for actions that need a confirmed email (set REQUIRE_EMAIL_VERIFICATION=true
+// to enable, after running `npm run migrate:email-verification`)
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") {
+    return next();
+  }
+
+  if (!req.user || !req.user.isEmailVerified) {
+    return res.status(403).json({
+      message: "Please verify your email address to continue",
+      success: false,
+    });
+  }
+  next();
+};
+
+// for actions an impersonating staff member must not take on a user's behalf
+export const blockImpersonation = async (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      message: "This action is not allowed while impersonating a user",
+      success: false,
+    });
+  }
+  next();
+};
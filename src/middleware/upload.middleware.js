@@ -29,24 +29,58 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// Catalog imports: a CSV or JSON file, plus an optional zip of images
+const catalogUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = {
+      file: [".csv", ".json"],
+      imagesZip: [".zip"],
+    };
+    const extname = path.extname(file.originalname).toLowerCase();
+
+    if ((allowedExtensions[file.fieldname] || []).includes(extname)) {
+      return cb(null, true);
+    }
+    cb(
+      new Error(
+        "Only a CSV or JSON catalog file and a ZIP of images are allowed"
+      )
+    );
+  },
+});
+
 // Middleware for single file upload
 export const uploadSingle = upload.single("image");
 
 // Middleware for multiple file upload
 export const uploadMultiple = upload.array("images", 5); // max 5 images
 
-// Middleware for product images (single main + multiple additional)
+// Middleware for product images (single main + multiple additional + one per variant)
 export const uploadProductImages = upload.fields([
   { name: "image", maxCount: 1 },
   { name: "images", maxCount: 5 },
+  { name: "variantImages", maxCount: 10 },
+]);
+
+// Middleware for catalog import files
+export const uploadCatalogFiles = catalogUpload.fields([
+  { name: "file", maxCount: 1 },
+  { name: "imagesZip", maxCount: 1 },
 ]);
 
 // Error handling middleware for multer
 export const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === "LIMIT_FILE_SIZE") {
+      const isCatalogFile = ["file", "imagesZip"].includes(error.field);
       return res.status(400).json({
-        message: "File too large. Maximum size is 5MB",
+        message: `File too large. Maximum size is ${
+          isCatalogFile ? "50MB" : "5MB"
+        }`,
         success: false,
       });
     }
@@ -64,7 +98,10 @@ export const handleMulterError = (error, req, res, next) => {
     }
   }
 
-  if (error.message.includes("Only image files are allowed")) {
+  if (
+    error.message.includes("Only image files are allowed") ||
+    error.message.includes("Only a CSV or JSON catalog file")
+  ) {
     return res.status(400).json({
       message: error.message,
       success: false,
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import { scopeAllowsRoute } from "../config/apiKeyScopes.js";
+import { generateRandomToken, hashToken } from "../utils/token.utils.js";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+    // Shown in listings so admins can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      validate: {
+        validator: function (value) {
+          return value.length > 0;
+        },
+        message: "API key must have at least one scope",
+      },
+    },
+    // Requests made with the key act as this user
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+// Generate a new plaintext key; only its hash is stored
+apiKeySchema.statics.generateKey = function () {
+  const prefix = generateRandomToken(4);
+  const key = `gk_${prefix}_${generateRandomToken(24)}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Find a usable key by its plaintext value
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Check whether any of the key's scopes allows the route
+apiKeySchema.methods.allowsRoute = function (method, path) {
+  return this.scopes.some((scope) => scopeAllowsRoute(scope, method, path));
+};
+
+// Virtual for key status
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+// Set virtual fields to be included in JSON output
+apiKeySchema.set("toJSON", { virtuals: true });
+apiKeySchema.set("toObject", { virtuals: true });
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
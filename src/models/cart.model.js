@@ -7,6 +7,13 @@ const cartItemSchema = new mongoose.Schema(
       ref: "Product",
       required: true,
     },
+    // Chosen variant (a subdocument of the product), if the product has any
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
     quantity: {
       type: Number,
       required: true,
@@ -67,10 +74,20 @@ cartSchema.pre("save", function (next) {
   next();
 });
 
+// Cart lines are identified by product and variant together
+const isSameItem = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variant || "") === String(variantId || "");
+
 // Method to add item to cart
-cartSchema.methods.addItem = function (productId, quantity, price) {
-  const existingItemIndex = this.items.findIndex(
-    (item) => item.product.toString() === productId.toString()
+cartSchema.methods.addItem = function (
+  productId,
+  quantity,
+  price,
+  { variantId = null, sku } = {}
+) {
+  const existingItemIndex = this.items.findIndex((item) =>
+    isSameItem(item, productId, variantId)
   );
 
   if (existingItemIndex > -1) {
@@ -84,6 +101,7 @@ cartSchema.methods.addItem = function (productId, quantity, price) {
     // Add new item
     this.items.push({
       product: productId,
+      ...(variantId && { variant: variantId, sku }),
       quantity,
       price,
     });
@@ -91,9 +109,13 @@ cartSchema.methods.addItem = function (productId, quantity, price) {
 };
 
 // Method to update item quantity
-cartSchema.methods.updateItemQuantity = function (productId, quantity) {
-  const itemIndex = this.items.findIndex(
-    (item) => item.product.toString() === productId.toString()
+cartSchema.methods.updateItemQuantity = function (
+  productId,
+  quantity,
+  variantId = null
+) {
+  const itemIndex = this.items.findIndex((item) =>
+    isSameItem(item, productId, variantId)
   );
 
   if (itemIndex > -1) {
@@ -110,9 +132,9 @@ cartSchema.methods.updateItemQuantity = function (productId, quantity) {
 };
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = function (productId) {
+cartSchema.methods.removeItem = function (productId, variantId = null) {
   this.items = this.items.filter(
-    (item) => item.product.toString() !== productId.toString()
+    (item) => !isSameItem(item, productId, variantId)
   );
 };
 
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// Outcome of one row of a catalog import
+const importRowSchema = new mongoose.Schema(
+  {
+    row: Number,
+    action: {
+      type: String,
+      enum: ["create", "update", "error"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    sku: String,
+    slug: String,
+    name: String,
+    // Why the row failed
+    messages: [String],
+  },
+  {
+    _id: false,
+  }
+);
+
+// Record of a committed catalog import: who ran it, from which file, and
+// which products it created or overwrote
+const catalogImportSchema = new mongoose.Schema(
+  {
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    imagesFileName: {
+      type: String,
+    },
+    skipInvalid: {
+      type: Boolean,
+      default: false,
+    },
+    summary: {
+      total: Number,
+      create: Number,
+      update: Number,
+      errors: Number,
+    },
+    rows: [importRowSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+catalogImportSchema.index({ createdAt: -1 });
+catalogImportSchema.index({ "rows.product": 1 });
+
+const CatalogImport = mongoose.model("CatalogImport", catalogImportSchema);
+export default CatalogImport;
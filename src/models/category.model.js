@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { slugify } from "../utils/slug.utils.js";
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: [60, "Category name cannot exceed 60 characters"],
+    },
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Ids from the root down to the parent, so a subtree is one query
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    image: {
+      public_id: String,
+      url: String,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Slug from the name, made unique with a -2, -3... suffix
+categorySchema.pre("validate", async function () {
+  if (this.slug && !this.isModified("name")) return;
+
+  const base = slugify(this.name) || "category";
+  let candidate = base;
+  for (let suffix = 2; ; suffix++) {
+    const taken = await this.constructor.exists({
+      _id: { $ne: this._id },
+      slug: candidate,
+    });
+    if (!taken) break;
+    candidate = `${base}-${suffix}`;
+  }
+  this.slug = candidate;
+});
+
+// Method to place the category under a parent (or at the root)
+categorySchema.methods.setParent = function (parent) {
+  this.parent = parent ? parent._id : null;
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+};
+
+// Look a category up by id or slug
+categorySchema.statics.findByIdOrSlug = function (value) {
+  return mongoose.isValidObjectId(value)
+    ? this.findById(value)
+    : this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Ids of this category and everything below it
+categorySchema.statics.getSubtreeIds = async function (categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select("_id");
+  return [categoryId, ...descendants.map((category) => category._id)];
+};
+
+// Nest a flat list of categories under their parents, sorted for display.
+// Categories whose parent is not in the list (e.g. inactive) are left out.
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category, children: [] },
+    ])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    if (!node.parent) {
+      roots.push(node);
+    } else {
+      nodes.get(node.parent.toString())?.children.push(node);
+    }
+  });
+
+  const sortNodes = (list) => {
+    list.sort(
+      (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name)
+    );
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+};
+
+const Category = mongoose.model("Category", categorySchema);
+export default Category;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// One entry per request made during an impersonation session
+const impersonationLogSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+impersonationLogSchema.index({ session: 1, createdAt: 1 });
+impersonationLogSchema.index({ impersonator: 1, createdAt: -1 });
+
+const ImpersonationLog = mongoose.model(
+  "ImpersonationLog",
+  impersonationLogSchema
+);
+export default ImpersonationLog;
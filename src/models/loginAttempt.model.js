@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Failed-login counters shared between app instances (mongo login store)
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop counters once they expire
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+export default LoginAttempt;
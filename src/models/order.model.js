@@ -11,6 +11,16 @@ const orderItemSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Snapshot of the chosen variant, if the product has any
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    variantLabel: {
+      type: String,
+    },
     image: {
       type: String,
       required: true,
@@ -30,6 +40,14 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       min: [0, "Total cannot be negative"],
     },
+    // Set when a sale was running: the price without it and the rule applied
+    regularPrice: {
+      type: Number,
+    },
+    priceRule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceRule",
+    },
   },
   {
     _id: false,
@@ -38,6 +56,11 @@ const orderItemSchema = new mongoose.Schema(
 
 const shippingAddressSchema = new mongoose.Schema(
   {
+    // Label of the saved address used at checkout, if any
+    label: {
+      type: String,
+      trim: true,
+    },
     fullName: {
       type: String,
       required: true,
@@ -114,10 +137,13 @@ const orderSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Cleared when the customer deletes their account
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.anonymizedAt;
+      },
     },
     items: [orderItemSchema],
     shippingAddress: {
@@ -193,6 +219,9 @@ const orderSchema = new mongoose.Schema(
       type: String,
       maxlength: [1000, "Notes cannot exceed 1000 characters"],
     },
+    anonymizedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -270,6 +299,20 @@ orderSchema.methods.getRefundAmount = function () {
   return 0;
 };
 
+// Placeholder shipping address for orders of deleted accounts
+orderSchema.statics.ANONYMIZED_ADDRESS = {
+  fullName: "Deleted user",
+  street: "Redacted",
+  city: "Redacted",
+  state: "Redacted",
+  zipCode: "Redacted",
+  country: "Redacted",
+  phone: "Redacted",
+};
+
+// Orders that will not be shipped anymore
+orderSchema.statics.CLOSED_STATUSES = ["delivered", "cancelled"];
+
 // Virtual for order age in days
 orderSchema.virtual("orderAge").get(function () {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+
+// A scheduled discount on some products. Rules never change stored product
+// prices; the best active rule is applied when prices are read (listings,
+// cart, checkout), so prices return to normal on their own when it ends.
+const priceRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    targetType: {
+      type: String,
+      required: [true, "Target type is required"],
+      enum: ["product", "category", "tag"],
+    },
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    // Includes the category's subcategories
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    tag: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    discountType: {
+      type: String,
+      required: [true, "Discount type is required"],
+      enum: ["percent", "fixed"],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0.01, "Discount must be greater than 0"],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceRuleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+priceRuleSchema.pre("validate", function () {
+  if (this.targetType === "product" && this.products.length === 0) {
+    this.invalidate("products", "Select at least one product");
+  }
+  if (this.targetType === "category" && !this.category) {
+    this.invalidate("category", "Select a category");
+  }
+  if (this.targetType === "tag" && !this.tag) {
+    this.invalidate("tag", "Enter a tag");
+  }
+  if (this.discountType === "percent" && this.discountValue > 100) {
+    this.invalidate("discountValue", "Percentage cannot exceed 100");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End time must be after start time");
+  }
+});
+
+priceRuleSchema.virtual("status").get(function () {
+  const now = new Date();
+  if (!this.isActive) return "disabled";
+  if (this.startsAt > now) return "scheduled";
+  if (this.endsAt <= now) return "ended";
+  return "active";
+});
+
+priceRuleSchema.set("toJSON", { virtuals: true });
+priceRuleSchema.set("toObject", { virtuals: true });
+
+// Method to check whether the rule covers a product
+priceRuleSchema.methods.appliesTo = function (product) {
+  switch (this.targetType) {
+    case "product":
+      return this.products.some((id) => id.equals(product._id));
+    case "category":
+      return (product.categoryPath || []).some((id) =>
+        this.category.equals(id._id || id)
+      );
+    case "tag":
+      return (product.tags || []).some((tag) => tag.toLowerCase() === this.tag);
+    default:
+      return false;
+  }
+};
+
+// Method to get the discounted price, rounded to cents
+priceRuleSchema.methods.discount = function (price) {
+  const discounted =
+    this.discountType === "percent"
+      ? price * (1 - this.discountValue / 100)
+      : price - this.discountValue;
+  return Math.max(Math.round(discounted * 100) / 100, 0);
+};
+
+// Rules running at the given time
+priceRuleSchema.statics.findActive = function (at = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+  });
+};
+
+const PriceRule = mongoose.model("PriceRule", priceRuleSchema);
+export default PriceRule;
@@ -1,4 +1,72 @@
 import mongoose from "mongoose";
+import Category from "./category.model.js";
+import Review from "./review.model.js";
+import { tokenize } from "../utils/productSearch.utils.js";
+import { slugify } from "../utils/slug.utils.js";
+
+// A purchasable version of a product, e.g. a plant in a 15cm pot
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    uppercase: true,
+  },
+  // Option name to value, e.g. { "Pot size": "15cm" }
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price cannot be negative"],
+  },
+  oldPrice: {
+    type: Number,
+    min: [0, "Old price cannot be negative"],
+    validate: {
+      validator: function (value) {
+        return !value || value >= this.price;
+      },
+      message: "Old price should be greater than or equal to current price",
+    },
+  },
+  stock: {
+    type: Number,
+    required: [true, "Variant stock is required"],
+    min: [0, "Stock cannot be negative"],
+    default: 0,
+  },
+  image: {
+    public_id: String,
+    url: String,
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Human readable name of the variant, e.g. "15cm / Terracotta"
+variantSchema.virtual("label").get(function () {
+  return Array.from(this.options?.values() || []).join(" / ") || this.sku;
+});
+
+variantSchema.set("toJSON", { virtuals: true });
+variantSchema.set("toObject", { virtuals: true });
+
+// With variants, the product's own price is the lowest variant price and its
+// stock the sum of variant stock, so listing, filtering and sorting still work
+const summarizeVariants = (variants) => {
+  const available = variants.filter((variant) => variant.isAvailable !== false);
+  const priced = available.length > 0 ? available : variants;
+  return {
+    price: Math.min(...priced.map((variant) => variant.price)),
+    stock: variants.reduce((total, variant) => total + variant.stock, 0),
+  };
+};
 
 const productSchema = new mongoose.Schema(
   {
@@ -8,6 +76,19 @@ const productSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Product name cannot exceed 100 characters"],
     },
+    // Stock keeping unit for products without variants; used by catalog import
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // Generated from the name; old slugs are kept so links can be redirected
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    slugHistory: [String],
     desc: {
       type: String,
       required: [true, "Product description is required"],
@@ -28,24 +109,29 @@ const productSchema = new mongoose.Schema(
         message: "Old price should be greater than or equal to current price",
       },
     },
+    // Top-level category name; set from categoryRef when there is one
     category: {
       type: String,
       required: [true, "Category is required"],
-      enum: [
-        "Plant",
-        "Vase",
-        "Seed",
-        "Flower",
-        "Vegetables",
-        "Fertilizer",
-        "Tools",
-      ],
       trim: true,
     },
+    // Name of the category below the top level (free text for products
+    // without a categoryRef)
     subCategory: {
       type: String,
       trim: true,
     },
+    categoryRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // Ids from the root category down to categoryRef, for subtree filters
+    categoryPath: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
     image: {
       public_id: String,
       url: {
@@ -69,6 +155,28 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Archived products are hidden and can't be bought, but stay resolvable
+    // from order history until they are purged
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: Date,
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: function (variants) {
+          const skus = variants.map((variant) => variant.sku);
+          return new Set(skus).size === skus.length;
+        },
+        message: "Variant SKUs must be unique",
+      },
+    },
+    // Computed from approved reviews in the Review collection
     ratings: {
       average: {
         type: Number,
@@ -81,30 +189,12 @@ const productSchema = new mongoose.Schema(
         default: 0,
       },
     },
-    reviews: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        rating: {
-          type: Number,
-          required: true,
-          min: 1,
-          max: 5,
-        },
-        comment: {
-          type: String,
-          maxlength: [500, "Review comment cannot exceed 500 characters"],
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
     tags: [String],
+    // Lowercase words of name, tags and categories, for typeahead lookups
+    searchKeywords: {
+      type: [String],
+      select: false,
+    },
     featured: {
       type: Boolean,
       default: false,
@@ -149,11 +239,29 @@ const productSchema = new mongoose.Schema(
 // Index for better search performance
 productSchema.index({ name: "text", desc: "text", category: "text" });
 productSchema.index({ category: 1 });
+productSchema.index({ categoryPath: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ "ratings.average": -1 });
 productSchema.index({ featured: -1 });
 productSchema.index({ trending: -1 });
 productSchema.index({ isNew: -1 });
+productSchema.index({ searchKeywords: 1 });
+productSchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $exists: true } } }
+);
+productSchema.index({ slugHistory: 1 });
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $exists: true } } }
+);
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
 
 // Virtual for discount percentage
 productSchema.virtual("discountPercentage").get(function () {
@@ -163,6 +271,24 @@ productSchema.virtual("discountPercentage").get(function () {
   return 0;
 });
 
+// Filter for products shown in the storefront. Products saved before
+// archiving existed have no isArchived field, hence $ne.
+productSchema.statics.listedFilter = function () {
+  return { isAvailable: true, isArchived: { $ne: true } };
+};
+
+// The price rule applied by applyPriceRules, if any
+productSchema.virtual("sale").get(function () {
+  return this.$locals?.sale || null;
+});
+
+// Sale prices are only for display and checkout; never store them
+productSchema.pre("validate", function () {
+  if (this.$locals.sale) {
+    throw new Error("Cannot save a product with sale prices applied");
+  }
+});
+
 // Update isNew based on creation date (products older than 30 days are not new)
 productSchema.pre("save", function (next) {
   if (this.isNew && this.createdAt) {
@@ -176,19 +302,230 @@ productSchema.pre("save", function (next) {
   next();
 });
 
-// Method to update ratings
-productSchema.methods.updateRatings = function () {
-  if (this.reviews.length > 0) {
-    const totalRating = this.reviews.reduce(
-      (sum, review) => sum + review.rating,
-      0
+// Category fields for a product filed under the given category, or null if
+// the category does not exist
+productSchema.statics.getCategoryFields = async function (categoryId) {
+  if (!mongoose.isValidObjectId(categoryId)) return null;
+
+  const category = await Category.findById(categoryId).populate(
+    "ancestors",
+    "name"
+  );
+  if (!category) return null;
+
+  const [root] = category.ancestors;
+  return {
+    categoryRef: category._id,
+    categoryPath: [
+      ...category.ancestors.map((ancestor) => ancestor._id),
+      category._id,
+    ],
+    category: root ? root.name : category.name,
+    subCategory: root ? category.name : null,
+  };
+};
+
+// Runs before the keyword hook, which reads the category names
+productSchema.pre("validate", async function () {
+  if (!this.categoryRef || !(this.$isNew || this.isModified("categoryRef"))) {
+    return;
+  }
+
+  const fields = await this.constructor.getCategoryFields(this.categoryRef);
+  if (!fields) {
+    this.invalidate("categoryRef", "Category not found");
+    return;
+  }
+  this.set(fields);
+});
+
+// Slug for a name that no other product uses, now or in its slug history
+productSchema.statics.generateUniqueSlug = async function (name, excludeId) {
+  const base = slugify(name) || "product";
+
+  let candidate = base;
+  for (let suffix = 2; ; suffix++) {
+    const taken = await this.exists({
+      _id: { $ne: excludeId },
+      $or: [{ slug: candidate }, { slugHistory: candidate }],
+    });
+    if (!taken) return candidate;
+    candidate = `${base}-${suffix}`;
+  }
+};
+
+// Whether a slug was generated from this name (possibly with a -2 suffix)
+const slugFitsName = (slug, name) => {
+  const base = slugify(name) || "product";
+  return slug === base || new RegExp(`^${base}-\\d+$`).test(slug);
+};
+
+// Slug change for a product: the new slug plus the history to keep
+const planSlugChange = async (model, { _id, name, slug, slugHistory = [] }) => {
+  if (slug && slugFitsName(slug, name)) return null;
+
+  const newSlug = await model.generateUniqueSlug(name, _id);
+  const history = slugHistory.filter((oldSlug) => oldSlug !== newSlug);
+  if (slug && !history.includes(slug)) history.push(slug);
+
+  return { slug: newSlug, slugHistory: history };
+};
+
+productSchema.pre("validate", async function () {
+  if (this.slug && !this.isModified("name")) return;
+
+  const change = await planSlugChange(this.constructor, this);
+  if (change) this.set(change);
+});
+
+productSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+  const name = update.name ?? update.$set?.name;
+  if (!name) return;
+
+  const product = await this.model
+    .findOne(this.getQuery())
+    .select("name slug slugHistory");
+  if (!product) return;
+
+  const change = await planSlugChange(this.model, {
+    _id: product._id,
+    name,
+    slug: product.slug,
+    slugHistory: product.slugHistory,
+  });
+  if (change) Object.assign(update, change);
+});
+
+const KEYWORD_SOURCE_FIELDS = ["name", "tags", "category", "subCategory"];
+
+const buildSearchKeywords = (product) => [
+  ...new Set(
+    KEYWORD_SOURCE_FIELDS.flatMap((field) =>
+      [].concat(product[field] || []).flatMap(tokenize)
+    )
+  ),
+];
+
+productSchema.pre("validate", function (next) {
+  if (
+    this.$isNew ||
+    KEYWORD_SOURCE_FIELDS.some((field) => this.isModified(field))
+  ) {
+    this.searchKeywords = buildSearchKeywords(this);
+  }
+  next();
+});
+
+// Updates through findOneAndUpdate only carry the changed fields, so the
+// keywords are rebuilt from the stored document afterwards
+productSchema.post("findOneAndUpdate", async function (doc) {
+  const update = this.getUpdate();
+  const changed = KEYWORD_SOURCE_FIELDS.some(
+    (field) => field in update || field in (update.$set || {})
+  );
+  if (!doc || !changed) return;
+
+  const product = await this.model
+    .findById(doc._id)
+    .select(KEYWORD_SOURCE_FIELDS.join(" "));
+  if (product) {
+    await this.model.updateOne(
+      { _id: product._id },
+      { searchKeywords: buildSearchKeywords(product) }
     );
-    this.ratings.average = totalRating / this.reviews.length;
-    this.ratings.count = this.reviews.length;
-  } else {
-    this.ratings.average = 0;
-    this.ratings.count = 0;
   }
+});
+
+// Keep price and stock in step with the variants
+productSchema.methods.syncVariantTotals = function () {
+  if (this.variants.length > 0) {
+    this.set(summarizeVariants(this.variants));
+  }
+};
+
+productSchema.pre("validate", function (next) {
+  this.syncVariantTotals();
+  next();
+});
+
+productSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate();
+  const variants = update.variants ?? update.$set?.variants;
+  if (Array.isArray(variants) && variants.length > 0) {
+    Object.assign(update, summarizeVariants(variants));
+  }
+  next();
+});
+
+// Price, stock and image for the chosen variant, or for the product itself
+// when it has no variants. Returns null if the variant choice is invalid.
+productSchema.methods.getPurchaseOption = function (variantId) {
+  if (this.variants.length === 0) {
+    if (variantId) return null;
+    return {
+      variant: null,
+      price: this.price,
+      stock: this.stock,
+      image: this.image?.url,
+      isAvailable: this.isAvailable && !this.isArchived,
+    };
+  }
+
+  const variant = variantId && this.variants.id(variantId);
+  if (!variant) return null;
+
+  return {
+    variant,
+    price: variant.price,
+    stock: variant.stock,
+    image: variant.image?.url || this.image?.url,
+    isAvailable: this.isAvailable && !this.isArchived && variant.isAvailable,
+  };
+};
+
+// Apply the best of the given active price rules, in memory only: prices
+// become sale prices and oldPrice the regular price. Returns the rule used.
+productSchema.methods.applyPriceRules = function (rules) {
+  const bestRule = rules
+    .filter((rule) => rule.appliesTo(this))
+    .reduce(
+      (best, rule) =>
+        !best || rule.discount(this.price) < best.discount(this.price)
+          ? rule
+          : best,
+      null
+    );
+  if (!bestRule) return null;
+
+  (this.variants || []).forEach((variant) => {
+    variant.oldPrice = variant.price;
+    variant.price = bestRule.discount(variant.price);
+  });
+  this.oldPrice = this.price;
+  this.price = bestRule.discount(this.price);
+  this.$locals.sale = {
+    rule: bestRule._id,
+    name: bestRule.name,
+    endsAt: bestRule.endsAt,
+  };
+  return bestRule;
+};
+
+// Method to update ratings from the product's approved reviews
+productSchema.methods.updateRatings = async function () {
+  const { average, count } = await Review.getRatingSummary(this._id);
+  this.ratings.average = average;
+  this.ratings.count = count;
+};
+
+// Recompute and store a product's ratings after its reviews changed
+productSchema.statics.refreshRatings = async function (productId) {
+  const product = await this.findById(productId);
+  if (!product) return null;
+
+  await product.updateRatings();
+  return product.save({ validateModifiedOnly: true });
 };
 
 // Set virtual fields to be included in JSON output
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const recommendedItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    // Delivered orders that contained both products
+    coPurchases: {
+      type: Number,
+      default: 0,
+    },
+    // Shared category, growing conditions and tags
+    similarity: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Precomputed recommendations for one product, rebuilt on a schedule so the
+// storefront only has to read them
+const productRecommendationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      unique: true,
+    },
+    items: [recommendedItemSchema],
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ProductRecommendation = mongoose.model(
+  "ProductRecommendation",
+  productRecommendationSchema
+);
+export default ProductRecommendation;
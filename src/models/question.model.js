@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+
+const answerSchema = new mongoose.Schema(
+  {
+    // Cleared when an answer is re-attributed to "Deleted user"
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.authorDeleted;
+      },
+    },
+    authorDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    text: {
+      type: String,
+      required: [true, "Answer is required"],
+      trim: true,
+      maxlength: [1000, "Answer cannot exceed 1000 characters"],
+    },
+    // Answered by staff, or by a customer with a delivered order of the product
+    isStaffAnswer: {
+      type: Boolean,
+      default: false,
+    },
+    isVerifiedBuyer: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const questionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Cleared when a question is re-attributed to "Deleted user"
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.authorDeleted;
+      },
+    },
+    authorDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    text: {
+      type: String,
+      required: [true, "Question is required"],
+      trim: true,
+      minlength: [5, "Question must be at least 5 characters"],
+      maxlength: [300, "Question cannot exceed 300 characters"],
+    },
+    // Questions are public when asked; staff can remove them with a reason
+    status: {
+      type: String,
+      enum: ["published", "removed"],
+      default: "published",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    moderationNote: {
+      type: String,
+      maxlength: [500, "Moderation note cannot exceed 500 characters"],
+    },
+    answers: [answerSchema],
+    // Approved answers only
+    answerCount: {
+      type: Number,
+      default: 0,
+    },
+    upvotes: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+questionSchema.index({ product: 1, status: 1, upvoteCount: -1 });
+questionSchema.index({ product: 1, status: 1, createdAt: -1 });
+questionSchema.index({ "answers.status": 1, createdAt: 1 });
+questionSchema.index({ user: 1 });
+
+questionSchema.pre("save", function (next) {
+  this.answerCount = this.answers.filter(
+    (answer) => answer.status === "approved"
+  ).length;
+  next();
+});
+
+// Add or take back a user's upvote on the question matching the filter.
+// The count only changes when the upvote list does, so it stays in step
+// under concurrent requests. Returns the question, or null if none matches.
+questionSchema.statics.setUpvote = async function (filter, userId, upvoted) {
+  const updated = await this.findOneAndUpdate(
+    upvoted
+      ? { ...filter, upvotes: { $ne: userId } }
+      : { ...filter, upvotes: userId },
+    upvoted
+      ? { $addToSet: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+      : { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+    { new: true }
+  );
+  return updated || this.findOne(filter);
+};
+
+// Public shape of a question: only approved answers, staff answers first
+questionSchema.methods.toPublicJSON = function () {
+  const { moderatedBy, moderatedAt, moderationNote, upvotes, ...question } =
+    this.toJSON();
+  return {
+    ...question,
+    answers: question.answers
+      .filter((answer) => answer.status === "approved")
+      .sort((a, b) => b.isStaffAnswer - a.isStaffAnswer)
+      .map(({ moderatedBy, moderatedAt, ...answer }) => answer),
+  };
+};
+
+// Published question count and the most upvoted questions of a product
+questionSchema.statics.getTopForProduct = async function (productId, limit) {
+  const query = { product: productId, status: "published" };
+  const [count, questions] = await Promise.all([
+    this.countDocuments(query),
+    this.find(query)
+      .sort({ upvoteCount: -1, answerCount: -1, createdAt: -1 })
+      .limit(limit)
+      .populate("user", "fullName avatar")
+      .populate("answers.user", "fullName avatar"),
+  ]);
+
+  return {
+    count,
+    questions: questions.map((question) => question.toPublicJSON()),
+  };
+};
+
+const Question = mongoose.model("Question", questionSchema);
+export default Question;
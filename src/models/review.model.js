@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+
+const voteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    helpful: {
+      type: Boolean,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// A previous version of an edited review
+const reviewEditSchema = new mongoose.Schema(
+  {
+    rating: Number,
+    comment: String,
+    // When this version was replaced
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Cleared when a review is re-attributed to "Deleted user"
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.authorDeleted;
+      },
+    },
+    authorDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review comment cannot exceed 500 characters"],
+    },
+    // The author had a delivered order containing the product when reviewing
+    isVerifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    // "removed" is set by staff for abusive reviews; the reason is kept in
+    // moderationNote
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "removed"],
+      default: "pending",
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    moderationNote: {
+      type: String,
+      maxlength: [500, "Moderation note cannot exceed 500 characters"],
+    },
+    editedAt: Date,
+    editHistory: {
+      type: [reviewEditSchema],
+      select: false,
+    },
+    votes: {
+      type: [voteSchema],
+      select: false,
+    },
+    // Vote totals, kept in step with votes for sorting
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    notHelpfulCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per author and product; anonymized reviews have no author
+reviewSchema.index(
+  { product: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+reviewSchema.index({ user: 1 });
+
+// Method to change the rating and comment, keeping the previous version.
+// A changed comment has to be approved again.
+reviewSchema.methods.applyEdit = function ({ rating, comment }) {
+  this.editHistory.push({ rating: this.rating, comment: this.comment });
+  this.editedAt = new Date();
+
+  if (rating !== undefined) this.rating = rating;
+  if (comment !== undefined && comment !== this.comment) {
+    this.comment = comment;
+    this.status = "pending";
+  }
+  if (this.status === "rejected") this.status = "pending";
+};
+
+const voteCountField = (helpful) =>
+  helpful ? "helpfulCount" : "notHelpfulCount";
+
+// Record a user's vote, replacing any earlier vote of theirs. Each update
+// only applies if the vote is (or isn't) there, so the totals stay in step
+// with the votes under concurrent requests.
+reviewSchema.statics.setVote = async function (reviewId, userId, helpful) {
+  await this.updateOne(
+    {
+      _id: reviewId,
+      votes: { $elemMatch: { user: userId, helpful: !helpful } },
+    },
+    {
+      $pull: { votes: { user: userId } },
+      $inc: { [voteCountField(!helpful)]: -1 },
+    }
+  );
+  await this.updateOne(
+    { _id: reviewId, "votes.user": { $ne: userId } },
+    {
+      $push: { votes: { user: userId, helpful } },
+      $inc: { [voteCountField(helpful)]: 1 },
+    }
+  );
+};
+
+// Remove a user's vote from the reviews matching the filter
+reviewSchema.statics.removeVote = function (filter, userId) {
+  return Promise.all(
+    [true, false].map((helpful) =>
+      this.updateMany(
+        { ...filter, votes: { $elemMatch: { user: userId, helpful } } },
+        {
+          $pull: { votes: { user: userId } },
+          $inc: { [voteCountField(helpful)]: -1 },
+        }
+      )
+    )
+  );
+};
+
+// Average, count and per-star breakdown of a product's approved reviews
+reviewSchema.statics.getRatingSummary = async function (productId) {
+  const stars = await this.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        status: "approved",
+      },
+    },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  stars.forEach((star) => {
+    distribution[star._id] = star.count;
+  });
+
+  const count = stars.reduce((sum, star) => sum + star.count, 0);
+  const total = stars.reduce((sum, star) => sum + star._id * star.count, 0);
+
+  return {
+    average: count > 0 ? total / count : 0,
+    count,
+    distribution,
+  };
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+export default Review;
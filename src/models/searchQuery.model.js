@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+// Storefront search terms, counted so typeahead can suggest popular queries.
+// Search is public, so a query is only suggested once enough different
+// clients have searched for it, and terms nobody searches for in 90 days
+// expire.
+const getMinSuggestionClients = () =>
+  parseInt(process.env.SEARCH_SUGGESTION_MIN_CLIENTS) || 3;
+const QUERY_TTL_DAYS = 90;
+
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Results the query returned last time, so dead-end queries aren't suggested
+    resultCount: {
+      type: Number,
+      default: 0,
+    },
+    // Image of the top result, shown next to the suggestion
+    thumbnail: String,
+    // Hashed client addresses, kept only until the query can be suggested
+    clients: {
+      type: [String],
+      select: false,
+    },
+    clientCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+searchQuerySchema.index({ count: -1 });
+searchQuerySchema.index(
+  { lastSearchedAt: 1 },
+  { expireAfterSeconds: QUERY_TTL_DAYS * 24 * 60 * 60 }
+);
+
+searchQuerySchema.statics.record = async function (
+  query,
+  resultCount,
+  thumbnail,
+  clientId
+) {
+  const normalized = query.trim().toLowerCase().replace(/\s+/g, " ");
+  if (normalized.length < 2 || normalized.length > 100) {
+    return null;
+  }
+
+  await this.updateOne(
+    { query: normalized },
+    {
+      $inc: { count: 1 },
+      $set: {
+        resultCount,
+        lastSearchedAt: new Date(),
+        ...(thumbnail && { thumbnail }),
+      },
+    },
+    { upsert: true }
+  );
+
+  // Count the client once, until the query has enough of them
+  if (clientId) {
+    await this.updateOne(
+      {
+        query: normalized,
+        clientCount: { $not: { $gte: getMinSuggestionClients() } },
+        clients: { $ne: clientId },
+      },
+      { $push: { clients: clientId }, $inc: { clientCount: 1 } }
+    );
+  }
+  return normalized;
+};
+
+// Queries popular enough to show to everyone
+searchQuerySchema.statics.suggestableFilter = function () {
+  return {
+    resultCount: { $gt: 0 },
+    clientCount: { $gte: getMinSuggestionClients() },
+  };
+};
+
+const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
+export default SearchQuery;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ["login_locked", "login_unlocked"],
+    },
+    // What was locked: an account (by email) or a client IP
+    scope: {
+      type: String,
+      required: true,
+      enum: ["account", "ip"],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+    },
+    ip: {
+      type: String,
+    },
+    // Only set when the email belongs to an account; never sent to clients
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    // Admin who performed a manual unlock
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+export default SecurityEvent;
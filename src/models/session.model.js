@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Hash of the refresh token currently issued for this session
+    refreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    // The token it replaced, still accepted briefly after rotation so
+    // tabs refreshing at the same moment don't look like token reuse
+    previousRefreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    device: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    // Staff member acting as this user (impersonation sessions only)
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    impersonationReason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    // Set when the login completed a two-factor challenge
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "password_reset",
+        "refresh_token_reuse",
+        "account_deactivated",
+        "impersonation_ended",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ impersonator: 1, createdAt: -1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Rough browser/OS label from the user agent, for session listings
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+sessionSchema.pre("save", function (next) {
+  if (this.isModified("userAgent")) {
+    this.device = describeDevice(this.userAgent);
+  }
+  next();
+});
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+// Whether a token that is no longer current was replaced just now
+sessionSchema.methods.isRecentlyRotated = function (tokenHash, graceMs) {
+  return (
+    Boolean(this.previousRefreshTokenHash) &&
+    this.previousRefreshTokenHash === tokenHash &&
+    Boolean(this.rotatedAt) &&
+    Date.now() - this.rotatedAt.getTime() <= graceMs
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+// Virtual for session state
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Set virtual fields to be included in JSON output
+sessionSchema.set("toJSON", { virtuals: true });
+sessionSchema.set("toObject", { virtuals: true });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -1,7 +1,59 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import validator from "validator";
+import { generateRandomToken, hashToken } from "../utils/token.utils.js";
+import { verifyTotp } from "../utils/totp.utils.js";
+import { ROLE_NAMES } from "../config/roles.js";
+
+const savedAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, "Address label is required"],
+    trim: true,
+    maxlength: [50, "Address label cannot exceed 50 characters"],
+  },
+  fullName: {
+    type: String,
+    required: [true, "Full name is required"],
+    trim: true,
+  },
+  street: {
+    type: String,
+    required: [true, "Street is required"],
+    trim: true,
+  },
+  city: {
+    type: String,
+    required: [true, "City is required"],
+    trim: true,
+  },
+  state: {
+    type: String,
+    required: [true, "State is required"],
+    trim: true,
+  },
+  zipCode: {
+    type: String,
+    required: [true, "Zip code is required"],
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: [true, "Country is required"],
+    trim: true,
+  },
+  phone: {
+    type: String,
+    required: [true, "Phone is required"],
+    trim: true,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -19,15 +71,21 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       validate: [validator.isEmail, "Please enter a valid email"],
     },
+    // Optional for accounts that only sign in through an identity provider
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLE_NAMES,
       default: "user",
     },
     phone: {
@@ -46,6 +104,25 @@ const userSchema = new mongoose.Schema(
       zipCode: { type: String },
       country: { type: String, default: "Australia" },
     },
+    // Linked OpenID Connect identities
+    identities: [
+      {
+        _id: false,
+        issuer: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: { type: String, lowercase: true },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    addresses: {
+      type: [savedAddressSchema],
+      validate: {
+        validator: function (value) {
+          return value.length <= 10;
+        },
+        message: "You can save up to 10 addresses",
+      },
+    },
     avatar: {
       public_id: String,
       url: String,
@@ -56,10 +133,56 @@ const userSchema = new mongoose.Schema(
         ref: "Product",
       },
     ],
-    refreshToken: {
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
       type: String,
       select: false,
     },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -73,6 +196,28 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index(
+  { "identities.issuer": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
+// Keep exactly one default address whenever any are saved
+userSchema.pre("save", function (next) {
+  if (this.isModified("addresses") && this.addresses.length > 0) {
+    const defaults = this.addresses.filter((address) => address.isDefault);
+    if (defaults.length !== 1) {
+      const keep = defaults[defaults.length - 1] || this.addresses[0];
+      this.addresses.forEach((address) => {
+        address.isDefault = address._id.equals(keep._id);
+      });
+    }
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -88,41 +233,147 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT tokens
-userSchema.methods.generateAccessToken = function () {
+// Generate JWT tokens bound to a login session
+userSchema.methods.generateAccessToken = function (
+  sessionId,
+  expiresIn = process.env.JWT_EXPIRES_IN || "1d"
+) {
   return jwt.sign(
     {
       userId: this._id,
       email: this.email,
       role: this.role,
+      sid: sessionId,
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || "1d",
+      expiresIn,
     }
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       userId: this._id,
+      sid: sessionId,
+      tokenType: "refresh",
     },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
     {
       expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+      // Unique id so a rotated token never equals the one it replaces
+      jwtid: crypto.randomUUID(),
     }
   );
 };
 
+// Method to make one saved address the default
+userSchema.methods.setDefaultAddress = function (addressId) {
+  const address = this.addresses.id(addressId);
+  if (!address) {
+    throw new Error("Address not found");
+  }
+
+  this.addresses.forEach((item) => {
+    item.isDefault = item._id.equals(address._id);
+  });
+  return address;
+};
+
+// Method to get the default saved address
+userSchema.methods.getDefaultAddress = function () {
+  return this.addresses.find((address) => address.isDefault) || null;
+};
+
+// Generate a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = generateRandomToken();
+  const expiresInMinutes =
+    parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 15;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(
+    Date.now() + expiresInMinutes * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = generateRandomToken();
+  const expiresInHours =
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(
+    Date.now() + expiresInHours * 60 * 60 * 1000
+  );
+
+  return verificationToken;
+};
+
+// Generate one-time recovery codes; only their hashes are stored
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const code = generateRandomToken(4);
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map((code) =>
+    hashToken(code.replace(/-/g, ""))
+  );
+
+  return codes;
+};
+
+// Check a TOTP code or recovery code (consuming it) against the enrolled
+// secret. Needs the twoFactor secret fields selected.
+userSchema.methods.verifyTwoFactorCode = function ({ code, recoveryCode }) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+
+  if (recoveryCode) {
+    const recoveryHash = hashToken(
+      String(recoveryCode).toLowerCase().replace(/[\s-]/g, "")
+    );
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(recoveryHash);
+    if (index === -1) return false;
+
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(this.twoFactor.secret, code, {
+    lastUsedStep: this.twoFactor.lastUsedStep,
+  });
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
 // Remove sensitive data from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  // Left on accounts from before per-device sessions
   delete userObject.refreshToken;
+  delete userObject.tokenVersion;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
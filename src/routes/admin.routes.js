@@ -8,26 +8,275 @@ import {
   getProductAnalytics,
   updateUserRole,
   toggleUserStatus,
+  getSecurityEvents,
+  unlockLoginAttempts,
+  getRoles,
+  getCustomers,
+  getCustomerDetails,
 } from "../controllers/admin.controller.js";
-import { isAuth, isAdmin } from "../middleware/auth.middleware.js";
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
+import {
+  startImpersonation,
+  stopImpersonation,
+  getImpersonations,
+  getImpersonationLogs,
+} from "../controllers/impersonation.controller.js";
+import {
+  importCatalog,
+  exportCatalog,
+  getCatalogImports,
+  getCatalogImport,
+} from "../controllers/catalog.controller.js";
+import {
+  getAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js";
+import {
+  getReviewsForModeration,
+  moderateReview,
+  removeReview,
+} from "../controllers/review.controller.js";
+import {
+  getQuestionsForModeration,
+  moderateAnswer,
+  removeQuestion,
+} from "../controllers/question.controller.js";
+import { refreshProductRecommendations } from "../controllers/recommendation.controller.js";
+import { getArchivedProducts } from "../controllers/product.controller.js";
+import {
+  getPriceRules,
+  createPriceRule,
+  updatePriceRule,
+  deletePriceRule,
+} from "../controllers/priceRule.controller.js";
+import { isAuth, requirePermission } from "../middleware/auth.middleware.js";
+import {
+  uploadSingle,
+  uploadCatalogFiles,
+  handleMulterError,
+} from "../middleware/upload.middleware.js";
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
-router.use(isAuth, isAdmin);
+// All admin routes require authentication; each route checks its permission
+router.use(isAuth);
 
 // Dashboard routes
-router.get("/dashboard-stats", getDashboardStats);
-router.get("/orders/new", getNewOrdersCount);
-router.get("/orders/pending-count", getPendingOrdersCount);
-router.get("/recent-activities", getRecentActivities);
+router.get(
+  "/dashboard-stats",
+  requirePermission("analytics:read"),
+  getDashboardStats
+);
+router.get(
+  "/orders/new",
+  requirePermission("dashboard:read"),
+  getNewOrdersCount
+);
+router.get(
+  "/orders/pending-count",
+  requirePermission("dashboard:read"),
+  getPendingOrdersCount
+);
+router.get(
+  "/recent-activities",
+  requirePermission("dashboard:read"),
+  getRecentActivities
+);
 
 // Analytics routes
-router.get("/analytics/sales", getSalesAnalytics);
-router.get("/analytics/products", getProductAnalytics);
+router.get(
+  "/analytics/sales",
+  requirePermission("analytics:read"),
+  getSalesAnalytics
+);
+router.get(
+  "/analytics/products",
+  requirePermission("analytics:read"),
+  getProductAnalytics
+);
 
 // User management routes
-router.patch("/users/:id/role", updateUserRole);
-router.patch("/users/:id/status", toggleUserStatus);
+router.get("/customers", requirePermission("users:read"), getCustomers);
+router.get(
+  "/customers/:id",
+  requirePermission("users:read"),
+  getCustomerDetails
+);
+router.get("/roles", requirePermission("users:manage-roles"), getRoles);
+router.patch(
+  "/users/:id/role",
+  requirePermission("users:manage-roles"),
+  updateUserRole
+);
+router.patch(
+  "/users/:id/status",
+  requirePermission("users:update"),
+  toggleUserStatus
+);
+
+// Impersonation routes
+router.get(
+  "/impersonations",
+  requirePermission("users:impersonate"),
+  getImpersonations
+);
+router.post(
+  "/impersonations/:userId",
+  requirePermission("users:impersonate"),
+  startImpersonation
+);
+router.patch(
+  "/impersonations/:id/stop",
+  requirePermission("users:impersonate"),
+  stopImpersonation
+);
+router.get(
+  "/impersonations/:id/logs",
+  requirePermission("users:impersonate"),
+  getImpersonationLogs
+);
+
+// Login security routes
+router.get(
+  "/security/events",
+  requirePermission("security:manage"),
+  getSecurityEvents
+);
+router.post(
+  "/security/unlock",
+  requirePermission("security:manage"),
+  unlockLoginAttempts
+);
+
+// API key management routes
+router.get("/api-keys", requirePermission("api-keys:manage"), getApiKeys);
+router.post("/api-keys", requirePermission("api-keys:manage"), createApiKey);
+router.patch(
+  "/api-keys/:id/revoke",
+  requirePermission("api-keys:manage"),
+  revokeApiKey
+);
+
+// Catalog import/export routes
+router.post(
+  "/catalog/import",
+  requirePermission("products:import"),
+  uploadCatalogFiles,
+  handleMulterError,
+  importCatalog
+);
+router.get(
+  "/catalog/export",
+  requirePermission("products:export"),
+  exportCatalog
+);
+router.get(
+  "/catalog/imports",
+  requirePermission("products:import"),
+  getCatalogImports
+);
+router.get(
+  "/catalog/imports/:id",
+  requirePermission("products:import"),
+  getCatalogImport
+);
+
+// Archived product routes
+router.get(
+  "/products/archived",
+  requirePermission("products:delete"),
+  getArchivedProducts
+);
+
+// Category routes
+router.get(
+  "/categories",
+  requirePermission("categories:manage"),
+  getAllCategories
+);
+router.post(
+  "/categories",
+  requirePermission("categories:manage"),
+  uploadSingle,
+  handleMulterError,
+  createCategory
+);
+router.patch(
+  "/categories/:id",
+  requirePermission("categories:manage"),
+  uploadSingle,
+  handleMulterError,
+  updateCategory
+);
+router.delete(
+  "/categories/:id",
+  requirePermission("categories:manage"),
+  deleteCategory
+);
+
+// Review moderation routes
+router.get(
+  "/reviews",
+  requirePermission("reviews:moderate"),
+  getReviewsForModeration
+);
+router.patch(
+  "/reviews/:reviewId/moderate",
+  requirePermission("reviews:moderate"),
+  moderateReview
+);
+router.delete(
+  "/reviews/:reviewId",
+  requirePermission("reviews:moderate"),
+  removeReview
+);
+
+// Product Q&A moderation routes
+router.get(
+  "/questions",
+  requirePermission("questions:moderate"),
+  getQuestionsForModeration
+);
+router.patch(
+  "/questions/:questionId/answers/:answerId/moderate",
+  requirePermission("questions:moderate"),
+  moderateAnswer
+);
+router.delete(
+  "/questions/:questionId",
+  requirePermission("questions:moderate"),
+  removeQuestion
+);
+
+// Recommendation routes
+router.post(
+  "/recommendations/refresh",
+  requirePermission("products:update"),
+  refreshProductRecommendations
+);
+
+// Price rule routes
+router.get("/price-rules", requirePermission("pricing:manage"), getPriceRules);
+router.post(
+  "/price-rules",
+  requirePermission("pricing:manage"),
+  createPriceRule
+);
+router.patch(
+  "/price-rules/:id",
+  requirePermission("pricing:manage"),
+  updatePriceRule
+);
+router.delete(
+  "/price-rules/:id",
+  requirePermission("pricing:manage"),
+  deletePriceRule
+);
 
 export default router;
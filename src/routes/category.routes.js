@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  getCategoryTree,
+  getCategoryBySlug,
+} from "../controllers/category.controller.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getCategoryTree);
+router.get("/:slug", getCategoryBySlug);
+
+export default router;
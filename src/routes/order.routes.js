@@ -9,23 +9,32 @@ import {
   deleteOrder,
   getOrderStats,
 } from "../controllers/order.controller.js";
-import { isAuth, isAdmin } from "../middleware/auth.middleware.js";
+import {
+  isAuth,
+  requirePermission,
+  requireVerifiedEmail,
+  blockImpersonation,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
 // All order routes require authentication
 router.use(isAuth);
 
+// Staff routes (registered before "/:id" so "/stats" is not taken as an id)
+router.get("/", requirePermission("orders:read"), getAllOrders);
+router.get("/stats", requirePermission("orders:read"), getOrderStats);
+router.patch(
+  "/:id/status",
+  requirePermission("orders:update"),
+  updateOrderStatus
+);
+router.delete("/:id", requirePermission("orders:delete"), deleteOrder);
+
 // User routes
-router.post("/", createOrder);
+router.post("/", blockImpersonation, requireVerifiedEmail, createOrder);
 router.get("/my-orders", getUserOrders);
 router.put("/:id/cancel", cancelOrder);
 router.get("/:id", getOrderById);
 
-// Admin only routes
-router.get("/", isAdmin, getAllOrders);
-router.patch("/:id/status", isAdmin, updateOrderStatus);
-router.delete("/:id", isAdmin, deleteOrder);
-router.get("/stats", isAdmin, getOrderStats);
-
 export default router;
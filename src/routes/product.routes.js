@@ -2,17 +2,40 @@ import express from "express";
 import {
   getAllProducts,
   getProductById,
+  getProductBySlug,
   addProduct,
   updateProduct,
-  deleteProduct,
-  addProductReview,
+  archiveProduct,
+  restoreProduct,
+  purgeProduct,
   getFeaturedProducts,
   getTrendingProducts,
   getNewProducts,
   searchProducts,
+  getSearchSuggestions,
   updateProductStock,
 } from "../controllers/product.controller.js";
-import { isAuth, isAdmin } from "../middleware/auth.middleware.js";
+import {
+  getProductReviews,
+  addProductReview,
+  updateReview,
+  deleteReview,
+  voteReview,
+  removeReviewVote,
+} from "../controllers/review.controller.js";
+import {
+  getProductQuestions,
+  askQuestion,
+  answerQuestion,
+  upvoteQuestion,
+  removeQuestionUpvote,
+} from "../controllers/question.controller.js";
+import { getProductRecommendations } from "../controllers/recommendation.controller.js";
+import {
+  isAuth,
+  requirePermission,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
 import {
   uploadProductImages,
   handleMulterError,
@@ -26,24 +49,57 @@ router.get("/featured", getFeaturedProducts);
 router.get("/trending", getTrendingProducts);
 router.get("/new", getNewProducts);
 router.get("/search", searchProducts);
+router.get("/suggest", getSearchSuggestions);
+router.get("/slug/:slug", getProductBySlug);
 router.get("/:id", getProductById);
+router.get("/:id/reviews", getProductReviews);
+router.get("/:id/questions", getProductQuestions);
+router.get("/:id/recommendations", getProductRecommendations);
 
 // Protected routes
 router.use(isAuth); // All routes below require authentication
 
 // User routes
-router.post("/:id/review", addProductReview);
+router.post("/:id/review", requireVerifiedEmail, addProductReview);
+router.patch("/reviews/:reviewId", requireVerifiedEmail, updateReview);
+router.delete("/reviews/:reviewId", deleteReview);
+router.post("/reviews/:reviewId/vote", requireVerifiedEmail, voteReview);
+router.delete("/reviews/:reviewId/vote", removeReviewVote);
+router.post("/:id/questions", requireVerifiedEmail, askQuestion);
+router.post(
+  "/questions/:questionId/answers",
+  requireVerifiedEmail,
+  answerQuestion
+);
+router.post("/questions/:questionId/upvote", upvoteQuestion);
+router.delete("/questions/:questionId/upvote", removeQuestionUpvote);
 
-// Admin only routes
-router.post("/", isAdmin, uploadProductImages, handleMulterError, addProduct);
+// Staff routes
+router.post(
+  "/",
+  requirePermission("products:create"),
+  uploadProductImages,
+  handleMulterError,
+  addProduct
+);
 router.patch(
   "/:id",
-  isAdmin,
+  requirePermission("products:update"),
   uploadProductImages,
   handleMulterError,
   updateProduct
 );
-router.delete("/:id", isAdmin, deleteProduct);
-router.patch("/:id/stock", isAdmin, updateProductStock);
+router.delete("/:id", requirePermission("products:delete"), archiveProduct);
+router.patch(
+  "/:id/restore",
+  requirePermission("products:delete"),
+  restoreProduct
+);
+router.delete("/:id/purge", requirePermission("products:purge"), purgeProduct);
+router.patch(
+  "/:id/stock",
+  requirePermission("products:update-stock"),
+  updateProductStock
+);
 
 export default router;
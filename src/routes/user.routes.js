@@ -2,7 +2,11 @@ import express from "express";
 import {
   register,
   login,
+  verifyLoginTwoFactor,
+  oidcLogin,
+  oidcCallback,
   logout,
+  refreshAccessToken,
   getUserProfile,
   getMyInfo,
   updateUserProfile,
@@ -10,8 +14,39 @@ import {
   toggleWishlist,
   getWishlist,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 } from "../controllers/user.controller.js";
-import { isAuth, isAdmin } from "../middleware/auth.middleware.js";
+import {
+  getMySessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../controllers/session.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactor.controller.js";
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+} from "../controllers/address.controller.js";
+import {
+  exportMyData,
+  deleteMyAccount,
+} from "../controllers/account.controller.js";
+import {
+  isAuth,
+  requirePermission,
+  blockImpersonation,
+} from "../middleware/auth.middleware.js";
 import {
   uploadSingle,
   handleMulterError,
@@ -22,6 +57,13 @@ const router = express.Router();
 // Public routes
 router.post("/register", register);
 router.post("/login", login);
+router.post("/login/2fa", verifyLoginTwoFactor);
+router.get("/oidc/login", oidcLogin);
+router.get("/oidc/callback", oidcCallback);
+router.post("/refresh", refreshAccessToken);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password/:token", resetPassword);
+router.post("/verify-email/:token", verifyEmail);
 
 // Protected routes
 router.use(isAuth); // All routes below require authentication
@@ -35,13 +77,37 @@ router.patch(
   handleMulterError,
   updateUserProfile
 );
-router.patch("/change-password", changePassword);
+router.patch("/change-password", blockImpersonation, changePassword);
+router.post("/resend-verification", resendVerificationEmail);
+
+// Personal data routes
+router.get("/account/export", blockImpersonation, exportMyData);
+router.delete("/account", blockImpersonation, deleteMyAccount);
+
+// Session routes
+router.get("/sessions", getMySessions);
+router.delete("/sessions", blockImpersonation, revokeAllSessions);
+router.delete("/sessions/:id", blockImpersonation, revokeSession);
+
+// Two-factor authentication routes
+router.get("/2fa", getTwoFactorStatus);
+router.post("/2fa/setup", blockImpersonation, setupTwoFactor);
+router.post("/2fa/enable", blockImpersonation, enableTwoFactor);
+router.post("/2fa/disable", blockImpersonation, disableTwoFactor);
+router.post("/2fa/recovery-codes", blockImpersonation, regenerateRecoveryCodes);
+
+// Address book routes
+router.get("/addresses", getAddresses);
+router.post("/addresses", addAddress);
+router.patch("/addresses/:addressId", updateAddress);
+router.delete("/addresses/:addressId", deleteAddress);
+router.patch("/addresses/:addressId/default", setDefaultAddress);
 
 // Wishlist routes
 router.patch("/wishlist/:productId", toggleWishlist);
 router.get("/wishlist", getWishlist);
 
-// Admin only routes
-router.get("/all", isAdmin, getAllUsers);
+// Staff routes
+router.get("/all", requirePermission("users:read"), getAllUsers);
 
 export default router;
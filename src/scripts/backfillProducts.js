@@ -0,0 +1,33 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Product from "../models/product.model.js";
+
+// Fill in generated fields (typeahead keywords, slug) on products saved
+// before those fields existed. Run once with `npm run backfill:products`.
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  let updated = 0;
+  const cursor = Product.find({
+    $or: [{ searchKeywords: { $exists: false } }, { slug: { $exists: false } }],
+  }).cursor();
+  for await (const product of cursor) {
+    // Marking the name modified makes the validate hooks rebuild both fields
+    product.markModified("name");
+    await product.save({ validateModifiedOnly: true });
+    updated += 1;
+  }
+
+  console.log(`Backfilled ${updated} products`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Product backfill failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
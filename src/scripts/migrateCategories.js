@@ -0,0 +1,106 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Category from "../models/category.model.js";
+import Product from "../models/product.model.js";
+import { escapeRegex } from "../utils/productSearch.utils.js";
+
+// Move products from the old fixed category names to the category tree:
+// every category name becomes a top-level category, every subCategory a
+// child of it, and products are linked to the most specific one. Safe to
+// run again. Run with `npm run migrate:categories` (add `-- --dry-run` to
+// only print what would change).
+
+dotenv.config();
+
+// The categories products could use before the tree existed
+const LEGACY_CATEGORIES = [
+  "Plant",
+  "Vase",
+  "Seed",
+  "Flower",
+  "Vegetables",
+  "Fertilizer",
+  "Tools",
+];
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const created = [];
+
+  // Match names case-insensitively so reruns reuse what an admin renamed
+  // only in case. In a dry run, new categories are placeholders.
+  const findOrCreate = async (name, parent = null, sortOrder = 0) => {
+    const existing = await Category.findOne({
+      parent: parent ? parent._id : null,
+      name: new RegExp(`^${escapeRegex(name)}$`, "i"),
+    });
+    if (existing) return existing;
+
+    const category = new Category({ name, sortOrder });
+    category.setParent(parent);
+    if (!dryRun) await category.save();
+    created.push(parent ? `${parent.name} > ${name}` : name);
+    return category;
+  };
+
+  const roots = new Map();
+  const getRoot = async (name, sortOrder) => {
+    const key = name.toLowerCase();
+    if (!roots.has(key)) {
+      roots.set(key, await findOrCreate(name, null, sortOrder));
+    }
+    return roots.get(key);
+  };
+
+  for (const [index, name] of LEGACY_CATEGORIES.entries()) {
+    await getRoot(name, index);
+  }
+
+  const children = new Map();
+  let linked = 0;
+  let unchanged = 0;
+
+  const cursor = Product.find({ categoryRef: null }).cursor();
+  for await (const product of cursor) {
+    if (!product.category) {
+      unchanged += 1;
+      continue;
+    }
+
+    const root = await getRoot(product.category, LEGACY_CATEGORIES.length);
+    let target = root;
+    if (product.subCategory) {
+      const key = `${root._id}:${product.subCategory.toLowerCase()}`;
+      if (!children.has(key)) {
+        children.set(key, await findOrCreate(product.subCategory, root));
+      }
+      target = children.get(key);
+    }
+
+    if (!dryRun) {
+      product.categoryRef = target._id;
+      await product.save({ validateModifiedOnly: true });
+    }
+    linked += 1;
+  }
+
+  console.log(
+    `${dryRun ? "Would create" : "Created"} ${created.length} categories`
+  );
+  created.forEach((name) => console.log(`  ${name}`));
+  console.log(`${dryRun ? "Would link" : "Linked"} ${linked} products`);
+  if (unchanged > 0) {
+    console.log(`Skipped ${unchanged} products without a category`);
+  }
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Category migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
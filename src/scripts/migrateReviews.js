@@ -0,0 +1,74 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import Review from "../models/review.model.js";
+
+// Move reviews embedded in product documents into the Review collection.
+// They were already public, so they are imported as approved. Safe to run
+// again. Run with `npm run migrate:reviews`.
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  let moved = 0;
+  let migratedProducts = 0;
+
+  // The reviews path is no longer in the schema, so read the raw documents
+  const cursor = Product.collection.find(
+    { "reviews.0": { $exists: true } },
+    { projection: { reviews: 1 } }
+  );
+  for await (const product of cursor) {
+    for (const review of product.reviews) {
+      const isVerifiedPurchase = review.user
+        ? Boolean(
+            await Order.exists({
+              user: review.user,
+              orderStatus: "delivered",
+              "items.product": product._id,
+            })
+          )
+        : false;
+
+      // Keyed by the embedded review's id so reruns don't duplicate it
+      await Review.updateOne(
+        { _id: review._id },
+        {
+          $setOnInsert: {
+            product: product._id,
+            ...(review.user && { user: review.user }),
+            authorDeleted: Boolean(review.authorDeleted),
+            rating: review.rating,
+            comment: review.comment,
+            isVerifiedPurchase,
+            status: "approved",
+            createdAt: review.createdAt,
+            updatedAt: review.createdAt,
+          },
+        },
+        { upsert: true, timestamps: false }
+      );
+      moved += 1;
+    }
+
+    await Product.refreshRatings(product._id);
+    await Product.collection.updateOne(
+      { _id: product._id },
+      { $unset: { reviews: "" } }
+    );
+    migratedProducts += 1;
+  }
+
+  console.log(`Moved ${moved} reviews from ${migratedProducts} products`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Review migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
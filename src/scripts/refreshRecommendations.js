@@ -0,0 +1,24 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import { refreshRecommendations } from "../utils/recommendations.utils.js";
+
+// Rebuild product recommendations once, for deployments that schedule it
+// with cron instead of in the app. Run with `npm run recommendations:refresh`.
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const { products } = await refreshRecommendations();
+
+  console.log(`Refreshed recommendations for ${products} products`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Recommendation refresh failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
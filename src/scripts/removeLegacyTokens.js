@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import User from "../models/user.model.js";
+
+// Remove the refresh token and token version stored on user documents
+// before per-device sessions replaced them. Safe to run again. Run with
+// `npm run migrate:legacy-tokens`.
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  // The fields are no longer in the schema, so update the raw collection
+  const result = await User.collection.updateMany(
+    {
+      $or: [
+        { refreshToken: { $exists: true } },
+        { tokenVersion: { $exists: true } },
+      ],
+    },
+    { $unset: { refreshToken: "", tokenVersion: "" } }
+  );
+
+  console.log(`Removed legacy tokens from ${result.modifiedCount} users`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Legacy token migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import User from "../models/user.model.js";
+
+// Mark accounts created before email verification existed as verified, so
+// turning on REQUIRE_EMAIL_VERIFICATION doesn't lock out existing customers.
+// Pass the date the verification release was deployed:
+// `npm run migrate:email-verification -- --before=2026-10-19`. Safe to run
+// again.
+
+dotenv.config();
+
+const beforeArg = process.argv.find((arg) => arg.startsWith("--before="));
+const cutoff = beforeArg ? new Date(beforeArg.slice("--before=".length)) : null;
+
+const run = async () => {
+  if (!cutoff || Number.isNaN(cutoff.getTime())) {
+    throw new Error("Pass the release date as --before=YYYY-MM-DD");
+  }
+
+  await connectDB();
+
+  // Saving an old account (on login, say) stores the isEmailVerified: false
+  // default, so match on the creation date and the missing verification
+  // time instead
+  const result = await User.collection.updateMany(
+    { createdAt: { $lt: cutoff }, emailVerifiedAt: { $exists: false } },
+    [{ $set: { isEmailVerified: true, emailVerifiedAt: "$createdAt" } }]
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Email verification migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
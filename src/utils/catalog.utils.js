@@ -0,0 +1,254 @@
+// Catalog import/export format. CSV and JSON share the same columns; in CSV,
+// lists (tags, images) are separated by "|" and variants/specifications are
+// JSON text. Images are URLs, or file names inside an uploaded zip. A
+// categorySlug files the product under a managed category and takes
+// precedence over the category/subCategory names. isArchived is only
+// exported; products are archived and restored through the product API.
+
+export const CATALOG_COLUMNS = [
+  "sku",
+  "slug",
+  "name",
+  "desc",
+  "price",
+  "oldPrice",
+  "category",
+  "subCategory",
+  "categorySlug",
+  "stock",
+  "isAvailable",
+  "isArchived",
+  "featured",
+  "trending",
+  "tags",
+  "image",
+  "images",
+  "variants",
+  "specifications",
+  "careInstructions",
+  "plantingTime",
+  "harvestTime",
+  "sunlightRequirement",
+  "waterRequirement",
+  "soilType",
+];
+
+const LIST_SEPARATOR = "|";
+
+const TEXT_FIELDS = [
+  "name",
+  "desc",
+  "category",
+  "subCategory",
+  "careInstructions",
+  "plantingTime",
+  "harvestTime",
+  "sunlightRequirement",
+  "waterRequirement",
+  "soilType",
+];
+
+const BOOLEAN_FIELDS = ["isAvailable", "featured", "trending"];
+
+const toPlainObject = (value) =>
+  value instanceof Map ? Object.fromEntries(value) : value || {};
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+export const isImageUrl = (reference) => /^https?:\/\//i.test(reference);
+
+
+export const productToRecord = (product, { flat = false } = {}) => {
+  const variants = (product.variants || []).map((variant) => ({
+    sku: variant.sku,
+    options: toPlainObject(variant.options),
+    price: variant.price,
+    oldPrice: variant.oldPrice,
+    stock: variant.stock,
+    isAvailable: variant.isAvailable,
+    image: variant.image?.url,
+  }));
+  const specifications = toPlainObject(product.specifications);
+  const images = (product.images || []).map((image) => image.url);
+
+  const record = {
+    sku: product.sku,
+    slug: product.slug,
+    name: product.name,
+    desc: product.desc,
+    price: product.price,
+    oldPrice: product.oldPrice,
+    category: product.category,
+    subCategory: product.subCategory,
+    categorySlug: product.categoryRef?.slug,
+    stock: product.stock,
+    isAvailable: product.isAvailable,
+    isArchived: Boolean(product.isArchived),
+    featured: product.featured,
+    trending: product.trending,
+    tags: product.tags || [],
+    image: product.image?.url,
+    images,
+    variants,
+    specifications,
+    careInstructions: product.careInstructions,
+    plantingTime: product.plantingTime,
+    harvestTime: product.harvestTime,
+    sunlightRequirement: product.sunlightRequirement,
+    waterRequirement: product.waterRequirement,
+    soilType: product.soilType,
+  };
+
+  if (!flat) return record;
+
+  return {
+    ...record,
+    tags: record.tags.join(LIST_SEPARATOR),
+    images: images.join(LIST_SEPARATOR),
+    variants: variants.length > 0 ? JSON.stringify(variants) : "",
+    specifications:
+      Object.keys(specifications).length > 0
+        ? JSON.stringify(specifications)
+        : "",
+  };
+};
+
+const parseList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const parseJson = (value, field, errors) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    errors.push(`${field} must be valid JSON`);
+    return undefined;
+  }
+};
+
+const parseNumber = (value, field, errors, parse = parseFloat) => {
+  const number = parse(value);
+  if (Number.isNaN(number)) {
+    errors.push(`${field} must be a number`);
+    return undefined;
+  }
+  return number;
+};
+
+const parseBoolean = (value, field, errors) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(text)) return true;
+  if (["false", "no", "0"].includes(text)) return false;
+  errors.push(`${field} must be true or false`);
+  return undefined;
+};
+
+// Turn one imported record into product fields. Blank cells are left out so
+// updates keep the current value. Image fields hold the raw references
+// (URL or zip file name) for the caller to resolve.
+export const recordToProductData = (record) => {
+  const errors = [];
+  const data = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    if (!isBlank(record[field])) data[field] = String(record[field]).trim();
+  });
+
+  if (!isBlank(record.categorySlug))
+    data.categorySlug = String(record.categorySlug).trim().toLowerCase();
+  if (!isBlank(record.sku)) data.sku = String(record.sku).trim().toUpperCase();
+  if (!isBlank(record.price))
+    data.price = parseNumber(record.price, "price", errors);
+  if (!isBlank(record.oldPrice))
+    data.oldPrice = parseNumber(record.oldPrice, "oldPrice", errors);
+  if (!isBlank(record.stock))
+    data.stock = parseNumber(record.stock, "stock", errors, (value) =>
+      Number.isInteger(Number(value)) ? Number(value) : NaN
+    );
+
+  BOOLEAN_FIELDS.forEach((field) => {
+    if (!isBlank(record[field]))
+      data[field] = parseBoolean(record[field], field, errors);
+  });
+
+  if (!isBlank(record.tags)) data.tags = parseList(record.tags);
+  if (!isBlank(record.image)) data.image = String(record.image).trim();
+  if (!isBlank(record.images)) data.images = parseList(record.images);
+
+  if (!isBlank(record.specifications)) {
+    const specifications = parseJson(
+      record.specifications,
+      "specifications",
+      errors
+    );
+    if (specifications !== undefined) {
+      if (typeof specifications !== "object" || Array.isArray(specifications)) {
+        errors.push("specifications must be an object");
+      } else {
+        data.specifications = new Map(
+          Object.entries(specifications).map(([key, value]) => [
+            key,
+            String(value),
+          ])
+        );
+      }
+    }
+  }
+
+  if (!isBlank(record.variants)) {
+    const variants = parseJson(record.variants, "variants", errors);
+    if (variants !== undefined) {
+      const isObject = (variant) =>
+        variant !== null &&
+        typeof variant === "object" &&
+        !Array.isArray(variant);
+
+      if (!Array.isArray(variants)) {
+        errors.push("variants must be an array");
+      } else if (!variants.every(isObject)) {
+        variants.forEach((variant, index) => {
+          if (!isObject(variant)) {
+            errors.push(`variants[${index}] must be an object`);
+          }
+        });
+      } else {
+        data.variants = variants.map((variant, index) => {
+          const label = `variants[${index}]`;
+          return {
+            ...variant,
+            sku: isBlank(variant.sku)
+              ? variant.sku
+              : String(variant.sku).trim().toUpperCase(),
+            ...(!isBlank(variant.price) && {
+              price: parseNumber(variant.price, `${label}.price`, errors),
+            }),
+            ...(!isBlank(variant.oldPrice) && {
+              oldPrice: parseNumber(
+                variant.oldPrice,
+                `${label}.oldPrice`,
+                errors
+              ),
+            }),
+            ...(!isBlank(variant.stock) && {
+              stock: parseNumber(variant.stock, `${label}.stock`, errors),
+            }),
+            ...(!isBlank(variant.isAvailable) && {
+              isAvailable: parseBoolean(
+                variant.isAvailable,
+                `${label}.isAvailable`,
+                errors
+              ),
+            }),
+            image: isBlank(variant.image) ? undefined : String(variant.image),
+          };
+        });
+      }
+    }
+  }
+
+  return { data, errors };
+};
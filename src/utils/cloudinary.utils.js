@@ -35,6 +35,23 @@ export const uploadToCloudinary = async (
 };
 
 
+// Copy a remote image into Cloudinary
+export const uploadUrlToCloudinary = async (url, folder = "garden") => {
+  const result = await cloudinary.uploader.upload(url, {
+    folder: folder,
+    resource_type: "image",
+    format: "webp",
+    quality: "auto",
+    fetch_format: "auto",
+  });
+
+  return {
+    public_id: result.public_id,
+    url: result.secure_url,
+  };
+};
+
+
 export const deleteFromCloudinary = async (publicId) => {
   try {
     const result = await cloudinary.uploader.destroy(publicId);
@@ -53,3 +70,13 @@ export const uploadMultipleToCloudinary = async (files, folder = "garden") => {
 
   return Promise.all(uploadPromises);
 };
+
+
+// Small square version of a Cloudinary image; other URLs are returned as-is
+export const getThumbnailUrl = (url, size = 80) => {
+  if (!url || !url.includes("res.cloudinary.com")) return url;
+  return url.replace(
+    "/image/upload/",
+    `/image/upload/c_fill,w_${size},h_${size}/`
+  );
+};
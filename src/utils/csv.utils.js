@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields may contain commas,
+// quotes ("") and line breaks. The first row holds the column names.
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) =>
+    cells.some((cell) => cell.trim() !== "")
+  );
+  const columns = header.map((column) => column.trim());
+
+  return records.map((cells) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, (cells[index] ?? "").trim()])
+    )
+  );
+};
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, records) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((cells) => cells.map(escapeCell).join(","))
+    .join("\r\n") + "\r\n";
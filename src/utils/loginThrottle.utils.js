@@ -0,0 +1,229 @@
+import LoginAttempt from "../models/loginAttempt.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+
+// Failed-login counters are kept per account (keyed by the submitted email,
+// whether or not it exists) and per client IP. Reaching the limit locks the
+// key; each further lockout of the same key doubles the lock duration.
+//
+// A store is an object with async get(key), increment(key, ttlMs) (add a
+// failure atomically and return the updated record), lock(key, lockedUntil,
+// ttlMs) (reset the failures and count a lockout) and delete(key). The
+// memory store only works for a single instance; set
+// LOGIN_ATTEMPT_STORE=mongo, or call setLoginAttemptStore, to share counters.
+
+const MINUTE = 60 * 1000;
+
+const getPolicies = () => ({
+  account: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    baseLockMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 5) * MINUTE,
+    maxLockMs: (parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 60) * MINUTE,
+    recordTtlMs: 24 * 60 * MINUTE,
+  },
+  ip: {
+    maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50,
+    baseLockMs: (parseInt(process.env.LOGIN_IP_LOCKOUT_MINUTES) || 15) * MINUTE,
+    maxLockMs: 24 * 60 * MINUTE,
+    recordTtlMs: 24 * 60 * MINUTE,
+  },
+});
+
+
+export const createMemoryLoginStore = () => {
+  const records = new Map();
+
+  const getRecord = (key) => {
+    const entry = records.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    get: async (key) => {
+      const entry = getRecord(key);
+      return entry ? { ...entry.record } : null;
+    },
+    increment: async (key, ttlMs) => {
+      const entry = getRecord(key) || {
+        record: { failures: 0, lockouts: 0, lockedUntil: 0 },
+        expiresAt: 0,
+      };
+      entry.record.failures += 1;
+      entry.expiresAt = Math.max(entry.expiresAt, Date.now() + ttlMs);
+      records.set(key, entry);
+      return { ...entry.record };
+    },
+    lock: async (key, lockedUntil, ttlMs) => {
+      const entry = getRecord(key);
+      if (!entry) return;
+      entry.record.failures = 0;
+      entry.record.lockouts += 1;
+      entry.record.lockedUntil = lockedUntil;
+      entry.expiresAt = Math.max(entry.expiresAt, Date.now() + ttlMs);
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+const toLoginRecord = (attempt) => ({
+  failures: attempt.failures,
+  lockouts: attempt.lockouts,
+  lockedUntil: attempt.lockedUntil ? attempt.lockedUntil.getTime() : 0,
+});
+
+
+export const createMongoLoginStore = () => ({
+  get: async (key) => {
+    const attempt = await LoginAttempt.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    return attempt ? toLoginRecord(attempt) : null;
+  },
+  increment: async (key, ttlMs) => {
+    // Start over from an expired counter the TTL index hasn't removed yet
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $setOnInsert: { lockouts: 0, lockedUntil: null },
+        $max: { expiresAt: new Date(Date.now() + ttlMs) },
+      },
+      { upsert: true, new: true, lean: true }
+    );
+    return toLoginRecord(attempt);
+  },
+  lock: async (key, lockedUntil, ttlMs) => {
+    await LoginAttempt.updateOne(
+      { key },
+      {
+        $set: { failures: 0, lockedUntil: new Date(lockedUntil) },
+        $inc: { lockouts: 1 },
+        $max: { expiresAt: new Date(Date.now() + ttlMs) },
+      }
+    );
+  },
+  delete: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+let store =
+  process.env.LOGIN_ATTEMPT_STORE === "mongo"
+    ? createMongoLoginStore()
+    : createMemoryLoginStore();
+
+
+export const setLoginAttemptStore = (newStore) => {
+  ["get", "increment", "lock", "delete"].forEach((method) => {
+    if (!newStore || typeof newStore[method] !== "function") {
+      throw new Error(`Login attempt store must implement ${method}()`);
+    }
+  });
+  store = newStore;
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const getRemainingLockMs = async (key) => {
+  const record = await store.get(key);
+  if (!record || !record.lockedUntil) return 0;
+  return Math.max(record.lockedUntil - Date.now(), 0);
+};
+
+// Count a failure; returns the lock expiry if this failure caused a lockout.
+// The count is incremented atomically so parallel attempts all add up, and
+// only the attempt that reaches the limit sets the lock.
+const registerFailure = async (key, policy) => {
+  const record = await store.increment(key, policy.recordTtlMs);
+  if (record.failures !== policy.maxAttempts) return null;
+
+  const duration = Math.min(
+    policy.baseLockMs * 2 ** record.lockouts,
+    policy.maxLockMs
+  );
+  const lockedUntil = Date.now() + duration;
+
+  // Keep the record at least as long as its lock lasts
+  await store.lock(key, lockedUntil, Math.max(policy.recordTtlMs, duration));
+
+  return lockedUntil;
+};
+
+// Seconds until login is allowed again for this email/IP pair (0 if allowed)
+export const getLoginRetryAfter = async ({ email, ip }) => {
+  const [accountLockMs, ipLockMs] = await Promise.all([
+    email ? getRemainingLockMs(accountKey(email)) : 0,
+    ip ? getRemainingLockMs(ipKey(ip)) : 0,
+  ]);
+
+  return Math.ceil(Math.max(accountLockMs, ipLockMs) / 1000);
+};
+
+
+export const recordFailedLogin = async ({ email, ip, userId = null }) => {
+  const policies = getPolicies();
+
+  const [accountLockedUntil, ipLockedUntil] = await Promise.all([
+    email ? registerFailure(accountKey(email), policies.account) : null,
+    ip ? registerFailure(ipKey(ip), policies.ip) : null,
+  ]);
+
+  const events = [];
+  if (accountLockedUntil) {
+    events.push({
+      type: "login_locked",
+      scope: "account",
+      email,
+      ip,
+      ...(userId && { user: userId }),
+      lockedUntil: new Date(accountLockedUntil),
+    });
+  }
+  if (ipLockedUntil) {
+    events.push({
+      type: "login_locked",
+      scope: "ip",
+      ip,
+      lockedUntil: new Date(ipLockedUntil),
+    });
+  }
+  if (events.length > 0) {
+    await SecurityEvent.insertMany(events);
+  }
+};
+
+// Successful login: forget the account's failures (the IP keeps its count)
+export const clearFailedLogins = async ({ email }) => {
+  await store.delete(accountKey(email));
+};
+
+
+export const unlockLogin = async ({ email, ip, actorId }) => {
+  const events = [];
+
+  if (email) {
+    await store.delete(accountKey(email));
+    events.push({
+      type: "login_unlocked",
+      scope: "account",
+      email,
+      actor: actorId,
+    });
+  }
+  if (ip) {
+    await store.delete(ipKey(ip));
+    events.push({ type: "login_unlocked", scope: "ip", ip, actor: actorId });
+  }
+
+  return SecurityEvent.insertMany(events);
+};
@@ -0,0 +1,103 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Transports are objects with an async send(message) method, selected
+// through MAIL_TRANSPORT. "console" and "file" are for local development;
+// "smtp" sends through the server in SMTP_URL. Register others (an email
+// API) with registerMailTransport.
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+let smtpTransporter = null;
+
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log("📧 Email:", {
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+      });
+      console.log(message.text);
+    },
+  },
+
+  file: {
+    send: async (message) => {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}_${message.to.replace(
+        /[^a-z0-9@._-]/gi,
+        "_"
+      )}.json`;
+      await fs.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+    },
+  },
+
+  smtp: {
+    send: async (message) => {
+      if (!process.env.SMTP_URL) {
+        throw new Error("SMTP_URL must be set to use the smtp transport");
+      }
+      smtpTransporter =
+        smtpTransporter || nodemailer.createTransport(process.env.SMTP_URL);
+      await smtpTransporter.sendMail(message);
+    },
+  },
+};
+
+// Development transports write reset and verification links to logs or
+// disk, so production has to name a transport that really sends mail.
+// Returns the problem, or null if the configuration is fine.
+export const getMailConfigError = () => {
+  if (process.env.NODE_ENV !== "production") return null;
+
+  const transportName = process.env.MAIL_TRANSPORT;
+  if (!transportName) {
+    return "MAIL_TRANSPORT must be set in production";
+  }
+  if (DEVELOPMENT_TRANSPORTS.includes(transportName)) {
+    return `The ${transportName} mail transport cannot be used in production`;
+  }
+  return null;
+};
+
+
+export const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  transports[name] = transport;
+};
+
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const configError = getMailConfigError();
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "Garden <no-reply@garden.local>",
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+};
+
+
+export const buildFrontendUrl = (pathname) => {
+  const baseUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${baseUrl.replace(/\/$/, "")}${pathname}`;
+};
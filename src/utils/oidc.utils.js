@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Minimal OpenID Connect relying party: discovery, authorization code flow
+// with PKCE (S256), and ID token verification against the issuer's JWKS.
+// Configure with OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET and
+// OIDC_REDIRECT_URI (this API's /api/v1/user/oidc/callback URL).
+
+const DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+
+let discoveryCache = null;
+let jwksCache = null;
+
+
+export const getOidcSettings = () => ({
+  issuer: (process.env.OIDC_ISSUER || "").replace(/\/$/, ""),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPE || "openid email profile",
+});
+
+
+export const isOidcEnabled = () => {
+  const { issuer, clientId, redirectUri } = getOidcSettings();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.status;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+const getDiscoveryDocument = async () => {
+  const { issuer } = getOidcSettings();
+  if (
+    discoveryCache &&
+    discoveryCache.issuer === issuer &&
+    Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL
+  ) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(
+    `${issuer}/.well-known/openid-configuration`
+  );
+  if (document.issuer.replace(/\/$/, "") !== issuer) {
+    throw new Error("OIDC discovery issuer does not match OIDC_ISSUER");
+  }
+
+  discoveryCache = { issuer, document, fetchedAt: Date.now() };
+  return document;
+};
+
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await getDiscoveryDocument();
+
+  const findKey = () =>
+    jwksCache?.uri === jwksUri &&
+    jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+  // Refetch when the key is unknown, in case the issuer rotated its keys
+  let jwk = findKey();
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys };
+    jwk = findKey();
+  }
+  if (!jwk) {
+    throw new Error("No matching OIDC signing key found");
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+
+export const createPkcePair = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge };
+};
+
+
+export const createRandomState = () => base64Url(crypto.randomBytes(16));
+
+
+export const buildAuthorizationUrl = async ({
+  state,
+  nonce,
+  codeChallenge,
+  loginHint,
+}) => {
+  const { clientId, redirectUri, scope } = getOidcSettings();
+  const { authorization_endpoint: authorizationEndpoint } =
+    await getDiscoveryDocument();
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+  if (loginHint) params.set("login_hint", loginHint);
+
+  return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+
+export const exchangeAuthorizationCode = async ({ code, codeVerifier }) => {
+  const { clientId, clientSecret, redirectUri } = getOidcSettings();
+  const { token_endpoint: tokenEndpoint } = await getDiscoveryDocument();
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier,
+  });
+  if (clientSecret) body.set("client_secret", clientSecret);
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+  if (!tokens.id_token) {
+    throw new Error("OIDC token response did not include an id_token");
+  }
+
+  return tokens;
+};
+
+// Verify signature, issuer, audience, expiry and nonce; returns the claims
+export const verifyIdToken = async (idToken, expectedNonce) => {
+  const { issuer, clientId } = getOidcSettings();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("Malformed ID token");
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512"],
+    issuer: [issuer, `${issuer}/`],
+    audience: clientId,
+  });
+
+  if (claims.nonce !== expectedNonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+};
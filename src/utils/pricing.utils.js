@@ -0,0 +1,12 @@
+import PriceRule from "../models/priceRule.model.js";
+
+// Apply the running price rules to product documents, in memory only. The
+// documents need price, oldPrice, variants, tags and categoryPath. Pass
+// rules in to price several lists with one lookup.
+export const applyActivePriceRules = async (products, rules) => {
+  const activeRules = rules || (await PriceRule.findActive());
+  if (activeRules.length > 0) {
+    products.forEach((product) => product?.applyPriceRules(activeRules));
+  }
+  return products;
+};
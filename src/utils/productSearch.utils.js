@@ -0,0 +1,210 @@
+// Faceted product search on the Product text index. Each facet is counted
+// with every active filter except its own, so a storefront sidebar can show
+// how many results picking another value of that facet would give.
+//
+// Typeahead matches typed words against product keywords with a small edit
+// distance, so minor typos still find results.
+
+export const PRICE_BUCKETS = [0, 100, 250, 500, 1000, 2500];
+
+export const RATING_BANDS = [4, 3, 2, 1];
+
+const toList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+// Turn query-string filters into one $match condition per facet
+export const buildSearchFilters = ({
+  category,
+  subCategory,
+  minPrice,
+  maxPrice,
+  sunlight,
+  water,
+  minRating,
+  inStock,
+}) => {
+  const filters = {};
+
+  const categories = toList(category).filter((value) => value !== "All");
+  if (categories.length > 0) filters.category = { $in: categories };
+
+  const subCategories = toList(subCategory);
+  if (subCategories.length > 0) filters.subCategory = { $in: subCategories };
+
+  if (minPrice || maxPrice) {
+    filters.price = {};
+    if (minPrice) filters.price.$gte = parseFloat(minPrice);
+    if (maxPrice) filters.price.$lte = parseFloat(maxPrice);
+  }
+
+  const sunlightValues = toList(sunlight);
+  if (sunlightValues.length > 0) {
+    filters.sunlightRequirement = { $in: sunlightValues };
+  }
+
+  const waterValues = toList(water);
+  if (waterValues.length > 0) {
+    filters.waterRequirement = { $in: waterValues };
+  }
+
+  if (minRating) {
+    filters["ratings.average"] = { $gte: parseFloat(minRating) };
+  }
+
+  if (inStock === "true") filters.stock = { $gt: 0 };
+
+  return filters;
+};
+
+// Filters for one facet's counts: everything except the facet's own field
+const filtersExcept = (filters, field) => {
+  const { [field]: omitted, ...rest } = filters;
+  return { $match: rest };
+};
+
+const countBy = (filters, field) => [
+  filtersExcept(filters, field),
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+export const buildFacetPipelines = (filters) => ({
+  category: countBy(filters, "category"),
+  subCategory: countBy(filters, "subCategory"),
+  sunlightRequirement: countBy(filters, "sunlightRequirement"),
+  waterRequirement: countBy(filters, "waterRequirement"),
+  price: [
+    filtersExcept(filters, "price"),
+    {
+      $bucket: {
+        groupBy: "$price",
+        boundaries: PRICE_BUCKETS,
+        default: "above",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+  ratings: [
+    filtersExcept(filters, "ratings.average"),
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(
+          RATING_BANDS.map((band) => [
+            `band${band}`,
+            {
+              $sum: {
+                $cond: [{ $gte: ["$ratings.average", band] }, 1, 0],
+              },
+            },
+          ])
+        ),
+      },
+    },
+  ],
+  inStock: [
+    filtersExcept(filters, "stock"),
+    {
+      $group: {
+        _id: null,
+        count: { $sum: { $cond: [{ $gt: ["$stock", 0] }, 1, 0] } },
+      },
+    },
+  ],
+});
+
+// Shape raw $facet output for the response
+export const formatFacets = (facets) => {
+  const priceCounts = new Map(
+    facets.price.map((bucket) => [bucket._id, bucket.count])
+  );
+  const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  return {
+    category: facets.category,
+    subCategory: facets.subCategory,
+    sunlightRequirement: facets.sunlightRequirement,
+    waterRequirement: facets.waterRequirement,
+    price: [
+      ...PRICE_BUCKETS.slice(0, -1).map((min, index) => ({
+        min,
+        max: PRICE_BUCKETS[index + 1],
+        count: priceCounts.get(min) || 0,
+      })),
+      { min: lastBoundary, max: null, count: priceCounts.get("above") || 0 },
+    ],
+    ratings: RATING_BANDS.map((band) => ({
+      minRating: band,
+      count: facets.ratings[0]?.[`band${band}`] || 0,
+    })),
+    inStock: facets.inStock[0]?.count || 0,
+  };
+};
+
+// Lowercase words of a piece of text, for keyword matching
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 2);
+
+export const escapeRegex = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Edit distance counting insertions, deletions, substitutions and swaps of
+// neighbouring letters, so "lavendar" is one edit from "lavender"
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Typos allowed for a term of this length
+const allowedEdits = (term) =>
+  term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+
+// Whether a typed term matches a keyword. The term being typed (prefix) only
+// has to match the start of the keyword; "tomatoe" still matches "tomato".
+export const termMatches = (term, keyword, { prefix = false } = {}) => {
+  if (keyword === term || (prefix && keyword.startsWith(term))) return true;
+
+  const compared = prefix ? keyword.slice(0, term.length) : keyword;
+  return (
+    Math.abs(compared.length - term.length) <= allowedEdits(term) &&
+    editDistance(term, compared) <= allowedEdits(term)
+  );
+};
+
+// Whether every typed word matches one of the keywords; the last word is
+// the one still being typed
+export const keywordsMatch = (terms, keywords) =>
+  terms.every((term, index) =>
+    keywords.some((keyword) =>
+      termMatches(term, keyword, { prefix: index === terms.length - 1 })
+    )
+  );
+
+export const textMatches = (terms, text) =>
+  keywordsMatch(terms, tokenize(text));
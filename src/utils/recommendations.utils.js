@@ -0,0 +1,224 @@
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import ProductRecommendation from "../models/productRecommendation.model.js";
+
+// Recommendations mix how often two products were bought together with how
+// alike they are. They are rebuilt for the whole catalog on a schedule
+// (RECOMMENDATIONS_REFRESH_HOURS, default 6) so reads are a single lookup.
+// With several app instances, set RECOMMENDATIONS_SCHEDULE=false on all but
+// one, or run `npm run recommendations:refresh` from cron instead.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const MAX_RECOMMENDATIONS = 12;
+const MAX_SHARED_TAGS = 3;
+// Below this, products only share a growing condition or a tag
+const MIN_SIMILARITY = 2;
+// Each doubling of co-purchases adds this much to the score
+const CO_PURCHASE_WEIGHT = 3;
+// Products scored between pauses that let requests through
+const BATCH_SIZE = 100;
+
+const getOrderWindowStart = () =>
+  new Date(
+    Date.now() - (parseInt(process.env.RECOMMENDATIONS_ORDER_DAYS) || 365) * DAY
+  );
+
+// Delivered orders containing both products, as Map<id, Map<otherId, count>>
+const getCoPurchaseCounts = async (since) => {
+  const pairs = await Order.aggregate([
+    { $match: { orderStatus: "delivered", createdAt: { $gte: since } } },
+    // Distinct products per order; two variants of one product count once
+    { $project: { products: { $setUnion: ["$items.product", []] } } },
+    { $match: { "products.1": { $exists: true } } },
+    { $project: { product: "$products", other: "$products" } },
+    { $unwind: "$product" },
+    { $unwind: "$other" },
+    { $match: { $expr: { $ne: ["$product", "$other"] } } },
+    {
+      $group: {
+        _id: { product: "$product", other: "$other" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = new Map();
+  pairs.forEach(({ _id, count }) => {
+    const key = _id.product.toString();
+    if (!counts.has(key)) counts.set(key, new Map());
+    counts.get(key).set(_id.other.toString(), count);
+  });
+  return counts;
+};
+
+const getSimilarity = (product, other) => {
+  let score = 0;
+  if (product.category === other.category) score += 2;
+  if (product.subCategory && product.subCategory === other.subCategory) {
+    score += 2;
+  }
+  if (
+    product.sunlightRequirement &&
+    product.sunlightRequirement === other.sunlightRequirement
+  ) {
+    score += 1;
+  }
+  if (
+    product.waterRequirement &&
+    product.waterRequirement === other.waterRequirement
+  ) {
+    score += 1;
+  }
+
+  let sharedTags = 0;
+  product.tagSet.forEach((tag) => {
+    if (other.tagSet.has(tag)) sharedTags += 1;
+  });
+  return score + Math.min(sharedTags, MAX_SHARED_TAGS);
+};
+
+
+// Products sharing a category, subcategory or tag, by that key. Only these
+// and co-purchase partners are scored, instead of the whole catalog.
+const buildCandidateIndex = (products) => {
+  const index = new Map();
+  const add = (key, product) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(product);
+  };
+
+  products.forEach((product) => {
+    if (product.category) add(`category:${product.category}`, product);
+    if (product.subCategory) add(`sub:${product.subCategory}`, product);
+    product.tagSet.forEach((tag) => add(`tag:${tag}`, product));
+  });
+  return index;
+};
+
+const getCandidates = (product, index, productsById, partners) => {
+  const candidates = new Map();
+  const keys = [
+    product.category && `category:${product.category}`,
+    product.subCategory && `sub:${product.subCategory}`,
+    ...[...product.tagSet].map((tag) => `tag:${tag}`),
+  ].filter(Boolean);
+
+  keys.forEach((key) => {
+    index.get(key).forEach((other) => candidates.set(other.id, other));
+  });
+  partners.forEach((count, otherId) => {
+    if (productsById.has(otherId)) {
+      candidates.set(otherId, productsById.get(otherId));
+    }
+  });
+  candidates.delete(product.id);
+  return candidates.values();
+};
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+
+export const refreshRecommendations = async () => {
+  const computedAt = new Date();
+  const [products, coPurchases] = await Promise.all([
+    Product.find(Product.listedFilter())
+      .select("category subCategory sunlightRequirement waterRequirement tags")
+      .lean(),
+    getCoPurchaseCounts(getOrderWindowStart()),
+  ]);
+
+  products.forEach((product) => {
+    product.id = product._id.toString();
+    product.tagSet = new Set(
+      (product.tags || []).map((tag) => tag.toLowerCase())
+    );
+  });
+
+  const productsById = new Map(
+    products.map((product) => [product.id, product])
+  );
+  const candidateIndex = buildCandidateIndex(products);
+
+  for (let start = 0; start < products.length; start += BATCH_SIZE) {
+    const operations = products
+      .slice(start, start + BATCH_SIZE)
+      .map((product) => {
+        const partners = coPurchases.get(product.id) || new Map();
+        const items = [];
+
+        for (const other of getCandidates(
+          product,
+          candidateIndex,
+          productsById,
+          partners
+        )) {
+          const coPurchaseCount = partners.get(other.id) || 0;
+          const similarity = getSimilarity(product, other);
+          if (coPurchaseCount === 0 && similarity < MIN_SIMILARITY) continue;
+
+          const score =
+            similarity + CO_PURCHASE_WEIGHT * Math.log2(1 + coPurchaseCount);
+          items.push({
+            product: other._id,
+            score: Math.round(score * 100) / 100,
+            coPurchases: coPurchaseCount,
+            similarity,
+          });
+        }
+
+        items.sort((a, b) => b.score - a.score);
+        return {
+          updateOne: {
+            filter: { product: product._id },
+            update: {
+              $set: { items: items.slice(0, MAX_RECOMMENDATIONS), computedAt },
+            },
+            upsert: true,
+          },
+        };
+      });
+
+    if (operations.length > 0) {
+      await ProductRecommendation.bulkWrite(operations);
+    }
+    await yieldToEventLoop();
+  }
+
+  // Products that are gone or no longer available
+  await ProductRecommendation.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { products: products.length, computedAt };
+};
+
+
+let refreshInProgress = null;
+
+// Start a refresh unless one is already running, in which case share it
+export const runRecommendationRefresh = () => {
+  if (!refreshInProgress) {
+    refreshInProgress = refreshRecommendations().finally(() => {
+      refreshInProgress = null;
+    });
+  }
+  return refreshInProgress;
+};
+
+
+export const startRecommendationSchedule = () => {
+  if (process.env.RECOMMENDATIONS_SCHEDULE === "false") return null;
+
+  const intervalMs =
+    (parseFloat(process.env.RECOMMENDATIONS_REFRESH_HOURS) || 6) * HOUR;
+  const refresh = () =>
+    runRecommendationRefresh().catch((error) => {
+      console.error("Recommendation refresh error:", error);
+    });
+
+  // First run shortly after startup, once the database is connected
+  setTimeout(refresh, 60 * 1000).unref();
+  const timer = setInterval(refresh, intervalMs);
+  timer.unref();
+  return timer;
+};
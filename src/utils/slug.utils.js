@@ -0,0 +1,11 @@
+// URL-safe slug from a name, e.g. "Rosé Geranium (Red)" -> "rose-geranium-red"
+export const slugify = (text, maxLength = 80) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/g, "");
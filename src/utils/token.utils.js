@@ -0,0 +1,11 @@
+import crypto from "crypto";
+
+
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+// One-way hash for tokens we store (reset links, verification links, keys)
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Cart from "../src/models/cart.model.js";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import PriceRule from "../src/models/priceRule.model.js";
+import { createOrder } from "../src/controllers/order.controller.js";
+import { fakeQuery, createReq, run } from "./helpers.js";
+
+const shippingAddress = {
+  fullName: "Sale Shopper",
+  street: "1 Garden Lane",
+  city: "Pune",
+  state: "MH",
+  zipCode: "411001",
+  phone: "9999999999",
+};
+
+let fern;
+let planter;
+let trowel;
+let cart;
+let orderData;
+
+const activeRule = (fields) =>
+  new PriceRule({
+    name: "Spring sale",
+    startsAt: new Date(Date.now() - 60 * 60 * 1000),
+    endsAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  });
+
+beforeEach(() => {
+  fern = new Product({ name: "Fern", price: 200, stock: 10, tags: ["plants"] });
+  planter = new Product({
+    name: "Planter",
+    tags: ["pots"],
+    variants: [
+      { sku: "PLANTER-S", options: { size: "Small" }, price: 100, stock: 5 },
+      { sku: "PLANTER-L", options: { size: "Large" }, price: 300, stock: 5 },
+    ],
+  });
+  trowel = new Product({ name: "Trowel", price: 50, stock: 10 });
+
+  cart = {
+    items: [
+      { product: fern, quantity: 2 },
+      { product: planter, variant: planter.variants[1]._id, quantity: 1 },
+      { product: trowel, quantity: 1 },
+    ],
+    totalItems: 4,
+    clearCart: mock.fn(),
+    save: mock.fn(async () => cart),
+  };
+  orderData = null;
+
+  mock.method(Cart, "findOne", () => fakeQuery(cart));
+  mock.method(Product, "updateOne", async () => ({}));
+  mock.method(Order, "create", async (data) => {
+    orderData = data;
+    return { ...data, populate: async () => {} };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const checkout = () =>
+  run(
+    createOrder,
+    createReq({
+      id: "64b000000000000000000001",
+      user: {},
+      body: { shippingAddress },
+    })
+  );
+
+test("checkout charges the active sale prices", async () => {
+  const percentOff = activeRule({
+    targetType: "tag",
+    tag: "plants",
+    discountType: "percent",
+    discountValue: 25,
+  });
+  const fixedOff = activeRule({
+    targetType: "product",
+    products: [planter._id],
+    discountType: "fixed",
+    discountValue: 40,
+  });
+  mock.method(PriceRule, "findActive", async () => [percentOff, fixedOff]);
+
+  const { res } = await checkout();
+
+  assert.equal(res.statusCode, 201);
+  const [fernItem, planterItem, trowelItem] = orderData.items;
+
+  assert.equal(fernItem.price, 150);
+  assert.equal(fernItem.total, 300);
+  assert.equal(fernItem.regularPrice, 200);
+  assert.equal(fernItem.priceRule, percentOff._id);
+
+  assert.equal(planterItem.price, 260);
+  assert.equal(planterItem.regularPrice, 300);
+  assert.equal(planterItem.priceRule, fixedOff._id);
+  assert.equal(planterItem.sku, "PLANTER-L");
+
+  assert.equal(trowelItem.price, 50);
+  assert.equal(trowelItem.regularPrice, undefined);
+  assert.equal(trowelItem.priceRule, undefined);
+
+  assert.equal(orderData.subtotal, 300 + 260 + 50);
+  assert.equal(orderData.totalAmount, 300 + 260 + 50 + orderData.shippingCost);
+  assert.equal(orderData.paymentInfo.amount, orderData.totalAmount);
+});
+
+test("the best of several matching rules is used", async () => {
+  const small = activeRule({
+    targetType: "tag",
+    tag: "plants",
+    discountType: "percent",
+    discountValue: 10,
+  });
+  const large = activeRule({
+    targetType: "product",
+    products: [fern._id],
+    discountType: "fixed",
+    discountValue: 80,
+  });
+  mock.method(PriceRule, "findActive", async () => [small, large]);
+
+  await checkout();
+
+  assert.equal(orderData.items[0].price, 120);
+  assert.equal(orderData.items[0].priceRule, large._id);
+});
+
+test("without an active rule checkout charges regular prices", async () => {
+  mock.method(PriceRule, "findActive", async () => []);
+
+  const { res } = await checkout();
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(orderData.subtotal, 400 + 300 + 50);
+  assert.ok(orderData.items.every((item) => item.priceRule === undefined));
+});
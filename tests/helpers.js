@@ -0,0 +1,81 @@
+// Shared fakes for calling controllers and middleware without a database
+
+// Stand-in for a Mongoose query: chainable, and resolves to the given value
+export const fakeQuery = (value) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+export const createReq = ({
+  body = {},
+  cookies = {},
+  headers = {},
+  ...rest
+} = {}) => ({
+  body,
+  cookies,
+  headers,
+  params: {},
+  query: {},
+  ip: "203.0.113.10",
+  method: "GET",
+  originalUrl: "/",
+  get: (name) => headers[name.toLowerCase()],
+  ...rest,
+});
+
+export const createRes = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    cookies: {},
+    clearedCookies: [],
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    cookie(name, value) {
+      res.cookies[name] = value;
+      return res;
+    },
+    clearCookie(name) {
+      res.clearedCookies.push(name);
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    on() {
+      return res;
+    },
+  };
+  return res;
+};
+
+// Run an asyncHandler-wrapped controller or a middleware to completion.
+// Resolves with the response, and whether next() was called.
+export const run = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = createRes();
+    const json = res.json;
+    res.json = (body) => {
+      json(body);
+      resolve({ res, nextCalled: false });
+      return res;
+    };
+    const next = (error) =>
+      error ? reject(error) : resolve({ res, nextCalled: true });
+
+    Promise.resolve(handler(req, res, next)).catch(reject);
+  });
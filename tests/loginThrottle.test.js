@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import SecurityEvent from "../src/models/securityEvent.model.js";
+import {
+  createMemoryLoginStore,
+  setLoginAttemptStore,
+  getLoginRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockLogin,
+} from "../src/utils/loginThrottle.utils.js";
+
+const email = "locked@example.com";
+const ip = "203.0.113.20";
+
+beforeEach(() => {
+  setLoginAttemptStore(createMemoryLoginStore());
+  mock.method(SecurityEvent, "insertMany", async (events) => events);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const failLogins = async (count, credentials = { email, ip }) => {
+  for (let i = 0; i < count; i++) {
+    await recordFailedLogin(credentials);
+  }
+};
+
+test("the account locks on the fifth failed login", async () => {
+  await failLogins(4);
+  assert.equal(await getLoginRetryAfter({ email, ip }), 0);
+
+  await failLogins(1);
+
+  assert.equal(await getLoginRetryAfter({ email, ip }), 5 * 60);
+  const [events] = SecurityEvent.insertMany.mock.calls[0].arguments;
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, "login_locked");
+  assert.equal(events[0].scope, "account");
+});
+
+test("the lock applies to the account from any IP", async () => {
+  await failLogins(5);
+
+  assert.ok((await getLoginRetryAfter({ email, ip: "198.51.100.1" })) > 0);
+  assert.equal(
+    await getLoginRetryAfter({
+      email: "other@example.com",
+      ip: "198.51.100.1",
+    }),
+    0
+  );
+});
+
+test("email case does not get around the lock", async () => {
+  await failLogins(5);
+
+  assert.ok((await getLoginRetryAfter({ email: email.toUpperCase() })) > 0);
+});
+
+test("each further lockout doubles the lock", async () => {
+  await failLogins(5);
+  const lockEnds = Date.now() + 5 * 60 * 1000;
+  mock.method(Date, "now", () => lockEnds + 1000);
+  assert.equal(await getLoginRetryAfter({ email }), 0);
+
+  await failLogins(5);
+
+  assert.equal(await getLoginRetryAfter({ email }), 10 * 60);
+});
+
+test("a successful login clears the account's failures", async () => {
+  await failLogins(4);
+  await clearFailedLogins({ email });
+  await failLogins(4);
+
+  assert.equal(await getLoginRetryAfter({ email, ip }), 0);
+});
+
+test("unlocking lifts the lock and records who did it", async () => {
+  await failLogins(5);
+
+  const events = await unlockLogin({ email, actorId: "admin-id" });
+
+  assert.equal(await getLoginRetryAfter({ email, ip }), 0);
+  assert.deepEqual(events, [
+    { type: "login_unlocked", scope: "account", email, actor: "admin-id" },
+  ]);
+});
+
+test("the store must implement the whole contract", () => {
+  assert.throws(
+    () => setLoginAttemptStore({ get: async () => null }),
+    /must implement increment\(\)/
+  );
+});
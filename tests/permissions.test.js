@@ -0,0 +1,122 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/user.model.js";
+import ApiKey from "../src/models/apiKey.model.js";
+import {
+  isAuth,
+  requirePermission,
+} from "../src/middleware/auth.middleware.js";
+import { fakeQuery, createReq, run } from "./helpers.js";
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.REQUIRE_ADMIN_2FA;
+});
+
+const userWithRole = (role) =>
+  new User({ fullName: "Staff", email: `${role}@example.com`, role });
+
+test("requirePermission rejects roles without the permission", async () => {
+  const { res, nextCalled } = await run(
+    requirePermission("orders:update"),
+    createReq({ user: userWithRole("support") })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(
+    res.body.message,
+    "You do not have permission to perform this action"
+  );
+});
+
+test("requirePermission needs every listed permission", async () => {
+  const { res, nextCalled } = await run(
+    requirePermission("orders:read", "orders:delete"),
+    createReq({ user: userWithRole("warehouse") })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test("requirePermission lets permitted roles through", async () => {
+  const { nextCalled } = await run(
+    requirePermission("orders:read", "orders:update"),
+    createReq({ user: userWithRole("warehouse") })
+  );
+  assert.equal(nextCalled, true);
+
+  const { nextCalled: adminNextCalled } = await run(
+    requirePermission("products:purge"),
+    createReq({ user: userWithRole("admin") })
+  );
+  assert.equal(adminNextCalled, true);
+});
+
+test("requirePermission asks admins for 2FA when it is required", async () => {
+  process.env.REQUIRE_ADMIN_2FA = "true";
+
+  const { res, nextCalled } = await run(
+    requirePermission("products:purge"),
+    createReq({ user: userWithRole("admin") })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.twoFactorSetupRequired, true);
+});
+
+const callWithApiKey = (scopes, method, originalUrl) => {
+  const owner = userWithRole("admin");
+  const apiKey = new ApiKey({
+    name: "Integration",
+    scopes,
+    createdBy: owner._id,
+  });
+
+  mock.method(ApiKey, "findActiveByKey", async () => apiKey);
+  mock.method(ApiKey, "updateOne", async () => ({}));
+  mock.method(User, "findById", () => fakeQuery(owner));
+
+  return run(
+    isAuth,
+    createReq({ headers: { "x-api-key": "sk_test" }, method, originalUrl })
+  );
+};
+
+test("an API key cannot call routes outside its scopes", async () => {
+  const { res, nextCalled } = await callWithApiKey(
+    ["products:read"],
+    "PATCH",
+    "/api/v1/product/123/stock"
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.message, "API key is not allowed to access this route");
+  assert.equal(User.findById.mock.callCount(), 0);
+});
+
+test("an API key can call routes in its scopes", async () => {
+  const { nextCalled } = await callWithApiKey(
+    ["products:update-stock"],
+    "PATCH",
+    "/api/v1/product/123/stock?source=erp"
+  );
+
+  assert.equal(nextCalled, true);
+});
+
+test("an unknown API key is rejected", async () => {
+  mock.method(ApiKey, "findActiveByKey", async () => null);
+
+  const { res, nextCalled } = await run(
+    isAuth,
+    createReq({ headers: { "x-api-key": "sk_unknown" } })
+  );
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, "Invalid API key");
+});
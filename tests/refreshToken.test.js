@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/user.model.js";
+import Session from "../src/models/session.model.js";
+import { refreshAccessToken } from "../src/controllers/user.controller.js";
+import { hashToken } from "../src/utils/token.utils.js";
+import { fakeQuery, createReq, run } from "./helpers.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+let user;
+let session;
+
+beforeEach(() => {
+  user = new User({
+    fullName: "Test User",
+    email: "test@example.com",
+    isActive: true,
+  });
+  session = new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+  mock.method(User, "findById", () => fakeQuery(user));
+  mock.method(Session, "findById", () => fakeQuery(session));
+  mock.method(Session.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Session, "revokeAllForUser", async () => ({}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const issueRefreshToken = () => {
+  const refreshToken = user.generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  return refreshToken;
+};
+
+const refresh = (refreshToken) =>
+  run(refreshAccessToken, createReq({ cookies: { refreshToken } }));
+
+test("refresh rotates the session's refresh token", async () => {
+  const refreshToken = issueRefreshToken();
+
+  const { res } = await refresh(refreshToken);
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.cookies.token);
+  assert.ok(res.cookies.refreshToken);
+  assert.notEqual(res.cookies.refreshToken, refreshToken);
+  assert.equal(session.refreshTokenHash, hashToken(res.cookies.refreshToken));
+  assert.equal(session.previousRefreshTokenHash, hashToken(refreshToken));
+  assert.equal(Session.revokeAllForUser.mock.callCount(), 0);
+});
+
+test("the replaced token still works during the grace window", async () => {
+  const refreshToken = issueRefreshToken();
+  await refresh(refreshToken);
+
+  const { res } = await refresh(refreshToken);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(Session.revokeAllForUser.mock.callCount(), 0);
+});
+
+test("reusing a rotated token revokes every session", async () => {
+  const refreshToken = issueRefreshToken();
+  await refresh(refreshToken);
+  session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  const { res } = await refresh(refreshToken);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(
+    res.body.message,
+    "Refresh token reuse detected. All sessions have been revoked"
+  );
+  assert.deepEqual(Session.revokeAllForUser.mock.calls[0].arguments, [
+    user._id,
+    "refresh_token_reuse",
+  ]);
+  assert.deepEqual(res.clearedCookies, ["token", "refreshToken"]);
+});
+
+test("a token from an older rotation is treated as reuse", async () => {
+  const firstToken = issueRefreshToken();
+  const { res: firstRefresh } = await refresh(firstToken);
+  await refresh(firstRefresh.cookies.refreshToken);
+
+  const { res } = await refresh(firstToken);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(Session.revokeAllForUser.mock.callCount(), 1);
+});
+
+test("a revoked session cannot be refreshed", async () => {
+  const refreshToken = issueRefreshToken();
+  session.revoke("logout");
+
+  const { res } = await refresh(refreshToken);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, "Session has been revoked");
+});
+
+test("an invalid refresh token is rejected", async () => {
+  const { res } = await refresh("not-a-token");
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, "Invalid or expired refresh token");
+});
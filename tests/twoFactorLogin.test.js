@@ -0,0 +1,143 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import User from "../src/models/user.model.js";
+import Session from "../src/models/session.model.js";
+import SecurityEvent from "../src/models/securityEvent.model.js";
+import {
+  login,
+  verifyLoginTwoFactor,
+} from "../src/controllers/user.controller.js";
+import {
+  createMemoryLoginStore,
+  setLoginAttemptStore,
+} from "../src/utils/loginThrottle.utils.js";
+import { generateTotpSecret, generateTotp } from "../src/utils/totp.utils.js";
+import { fakeQuery, createReq, run } from "./helpers.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+const password = "correct-password";
+
+let user;
+let recoveryCodes;
+
+beforeEach(() => {
+  setLoginAttemptStore(createMemoryLoginStore());
+
+  user = new User({
+    fullName: "Two Factor",
+    email: "2fa@example.com",
+    isActive: true,
+    twoFactor: { enabled: true, secret: generateTotpSecret() },
+  });
+  recoveryCodes = user.generateRecoveryCodes();
+
+  mock.method(User, "findOne", () => fakeQuery(user));
+  mock.method(User, "findById", () => fakeQuery(user));
+  mock.method(User.prototype, "comparePassword", async (candidate) => {
+    return candidate === password;
+  });
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Session.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(SecurityEvent, "insertMany", async (events) => events);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const startLogin = async () => {
+  const { res } = await run(
+    login,
+    createReq({ body: { email: user.email, password } })
+  );
+  return res;
+};
+
+const verify = (body) => run(verifyLoginTwoFactor, createReq({ body }));
+
+test("a correct password only returns a two-factor challenge", async () => {
+  const res = await startLogin();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.twoFactorRequired, true);
+  assert.equal(res.cookies.token, undefined);
+  assert.equal(res.cookies.refreshToken, undefined);
+
+  const decoded = jwt.verify(res.body.data.twoFactorToken, "test-secret");
+  assert.equal(decoded.purpose, "2fa-login");
+  assert.equal(decoded.userId, user._id.toString());
+});
+
+test("the current code completes the login", async () => {
+  const { twoFactorToken } = (await startLogin()).body.data;
+
+  const { res } = await verify({
+    twoFactorToken,
+    code: generateTotp(user.twoFactor.secret),
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.cookies.token);
+  assert.ok(res.cookies.refreshToken);
+  assert.equal(jwt.decode(res.cookies.token).userId, user._id.toString());
+});
+
+test("a code cannot be used twice", async () => {
+  const { twoFactorToken } = (await startLogin()).body.data;
+  const code = generateTotp(user.twoFactor.secret);
+  await verify({ twoFactorToken, code });
+
+  const { res } = await verify({ twoFactorToken, code });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, "Invalid two-factor code");
+});
+
+test("a wrong code is rejected and counts towards the lockout", async () => {
+  const { twoFactorToken } = (await startLogin()).body.data;
+
+  for (let i = 0; i < 5; i++) {
+    const { res } = await verify({ twoFactorToken, code: "000000" });
+    assert.equal(res.statusCode, 401);
+  }
+
+  const { res } = await verify({
+    twoFactorToken,
+    code: generateTotp(user.twoFactor.secret),
+  });
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers["Retry-After"]) > 0);
+});
+
+test("a recovery code works once", async () => {
+  const { twoFactorToken } = (await startLogin()).body.data;
+
+  const { res } = await verify({
+    twoFactorToken,
+    recoveryCode: recoveryCodes[0],
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+  const { res: reused } = await verify({
+    twoFactorToken,
+    recoveryCode: recoveryCodes[0],
+  });
+  assert.equal(reused.statusCode, 401);
+});
+
+test("an access token is not accepted as a challenge token", async () => {
+  const { res } = await verify({
+    twoFactorToken: user.generateAccessToken("session-id"),
+    code: generateTotp(user.twoFactor.secret),
+  });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, "Invalid two-factor token");
+});